@@ -0,0 +1,219 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { disposeSubscriptions, listCoreSerialPorts } from '../utils';
+import SerialMonitorTerminal from './terminal';
+import { getCoreEnvConfig } from '../project/config';
+import vscode from 'vscode';
+
+function isPortPattern(port) {
+  return /[*?\[]/.test(port);
+}
+
+// the same wildcards as "fnmatch" used by PlatformIO Core for "monitor_port"
+function matchPortPattern(pattern, port) {
+  if (!isPortPattern(pattern)) {
+    return pattern === port;
+  }
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*';
+      } else if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|\\\]\[]/, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`).test(port);
+}
+
+export default class SerialMonitorManager {
+  static DEFAULT_BAUDRATE = 9600;
+
+  constructor() {
+    this._monitors = []; // [{ terminal, pty }]
+
+    this.subscriptions = [
+      vscode.window.onDidCloseTerminal((terminal) => this.onDidCloseTerminal(terminal)),
+      vscode.commands.registerCommand('platformio-ide.serialMonitor.sendLine', () =>
+        this.sendLine(),
+      ),
+      vscode.commands.registerCommand(
+        'platformio-ide.serialMonitor.toggleTimestamps',
+        () => this.withActiveMonitor((pty) => pty.toggleTimestamps()),
+      ),
+      vscode.commands.registerCommand(
+        'platformio-ide.serialMonitor.toggleHexView',
+        () => this.withActiveMonitor((pty) => pty.toggleHexView()),
+      ),
+      vscode.commands.registerCommand(
+        'platformio-ide.serialMonitor.toggleLogToFile',
+        () => this.withActiveMonitor((pty) => pty.toggleLogToFile()),
+      ),
+    ];
+  }
+
+  dispose() {
+    this._monitors.forEach(({ terminal }) => terminal.dispose());
+    this._monitors = [];
+    disposeSubscriptions(this.subscriptions);
+  }
+
+  async open({ projectDir, env = undefined, port = undefined }) {
+    const options = await this.getMonitorOptions(projectDir, env);
+    const monitorPort = await this.resolvePort(port || options.port);
+    if (!monitorPort) {
+      return undefined;
+    }
+    const existing = this._monitors.find(({ pty }) => pty.port === monitorPort);
+    if (existing) {
+      existing.terminal.show();
+      return existing;
+    }
+    const pty = new SerialMonitorTerminal({
+      ...options,
+      port: monitorPort,
+      projectDir,
+      env,
+    });
+    const terminal = vscode.window.createTerminal({
+      name: pty.title,
+      pty,
+      iconPath: new vscode.ThemeIcon('plug'),
+    });
+    const monitor = { terminal, pty };
+    this._monitors.push(monitor);
+    terminal.show();
+    return monitor;
+  }
+
+  async getMonitorOptions(projectDir, env) {
+    let config = {};
+    if (env) {
+      try {
+        config = await getCoreEnvConfig(projectDir, env);
+      } catch (err) {
+        console.warn(err);
+      }
+    }
+    return {
+      port: config.monitor_port || undefined,
+      baudrate: parseInt(config.monitor_speed) || SerialMonitorManager.DEFAULT_BAUDRATE,
+      filters: config.monitor_filters || [],
+      eol: (config.monitor_eol || 'CRLF').toUpperCase(),
+      encoding: config.monitor_encoding || 'utf-8',
+      connectionOptions: {
+        parity: config.monitor_parity,
+        rts: config.monitor_rts,
+        dtr: config.monitor_dtr,
+      },
+    };
+  }
+
+  /**
+   * Resolve the exact port name, the port can be a pattern, such
+   * as "/dev/ttyUSB*". Ask the user when there are several candidates
+   */
+  async resolvePort(port = undefined) {
+    if (port && !isPortPattern(port)) {
+      return port;
+    }
+    let serialPorts = [];
+    try {
+      serialPorts = await listCoreSerialPorts();
+    } catch (err) {
+      console.warn(err);
+    }
+    const candidates = port
+      ? serialPorts.filter((item) => matchPortPattern(port, item.port))
+      : serialPorts;
+    if (!candidates.length) {
+      vscode.window.showErrorMessage(
+        port
+          ? `pioarduino: Could not find a serial port matching "${port}"`
+          : 'pioarduino: Could not find a serial port, please connect a device',
+      );
+      return undefined;
+    }
+    if (candidates.length === 1) {
+      return candidates[0].port;
+    }
+    const pickedItem = await vscode.window.showQuickPick(
+      candidates.map((item) => ({
+        label: item.port,
+        description: [item.description, item.hwid]
+          .filter((value) => !!value)
+          .join(' | '),
+      })),
+      {
+        title: 'Select a serial port for the monitor',
+        matchOnDescription: true,
+      },
+    );
+    return pickedItem ? pickedItem.label : undefined;
+  }
+
+  /**
+   * Free the ports for the upload/test process, the "port" can be a pattern.
+   * Returns the released monitors which should be passed to "resumeMonitors"
+   */
+  releaseMonitors(port = undefined) {
+    const monitors = this._monitors.filter(
+      ({ pty }) => !pty.isReleased && (!port || matchPortPattern(port, pty.port)),
+    );
+    monitors.forEach(({ pty }) => pty.release());
+    return monitors;
+  }
+
+  resumeMonitors(monitors) {
+    monitors
+      .filter((monitor) => this._monitors.includes(monitor))
+      .forEach(({ pty }) => pty.resume());
+  }
+
+  getActiveMonitor() {
+    const activeTerminal = vscode.window.activeTerminal;
+    return (
+      this._monitors.find(({ terminal }) => terminal === activeTerminal) ||
+      this._monitors[this._monitors.length - 1]
+    );
+  }
+
+  withActiveMonitor(callback) {
+    const monitor = this.getActiveMonitor();
+    if (!monitor) {
+      vscode.window.showWarningMessage('pioarduino: There is no opened Serial Monitor');
+      return;
+    }
+    monitor.terminal.show();
+    return callback(monitor.pty);
+  }
+
+  sendLine() {
+    return this.withActiveMonitor(async (pty) => {
+      const text = await vscode.window.showInputBox({
+        title: `Send a line to ${pty.port}`,
+        placeHolder: 'Text to send, the end of line is appended automatically',
+      });
+      if (text !== undefined) {
+        pty.sendLine(text);
+      }
+    });
+  }
+
+  onDidCloseTerminal(terminal) {
+    const monitor = this._monitors.find((item) => item.terminal === terminal);
+    if (!monitor) {
+      return;
+    }
+    monitor.pty.dispose();
+    this._monitors = this._monitors.filter((item) => item !== monitor);
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+// a minimal pyserial bridge which runs in the Core's Python environment
+export const BRIDGE_SCRIPT = String.raw`
+import json
+import os
+import sys
+import threading
+
+import serial
+
+options = json.loads(sys.argv[3])
+ser = serial.serial_for_url(sys.argv[1], do_not_open=True)
+ser.baudrate = int(sys.argv[2])
+ser.parity = options.get("parity") or "N"
+if options.get("rts") is not None:
+    ser.rts = bool(options["rts"])
+if options.get("dtr") is not None:
+    ser.dtr = bool(options["dtr"])
+ser.open()
+sys.stderr.write("%s\n" % sys.argv[4])
+sys.stderr.flush()
+
+
+def reader():
+    try:
+        while True:
+            data = ser.read(ser.in_waiting or 1)
+            if data:
+                os.write(sys.stdout.fileno(), data)
+    except Exception as exc:
+        sys.stderr.write(str(exc))
+        os._exit(1)
+
+
+threading.Thread(target=reader, daemon=True).start()
+while True:
+    data = os.read(sys.stdin.fileno(), 1024)
+    if not data:
+        break
+    ser.write(data)
+ser.close()
+`;
@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import * as pioNodeHelpers from 'pioarduino-node-helpers';
+
+import { BRIDGE_SCRIPT } from './serial-bridge';
+import { spawn } from 'child_process';
+import vscode from 'vscode';
+
+/**
+ * A serial port connection opened via pyserial, so it works with
+ * any port supported by the Core including a pseudo-terminal (pty)
+ */
+export default class SerialPortConnection {
+  static READY_MARKER = '--- serial port is ready ---';
+
+  constructor(port, baudrate, options = {}) {
+    this.port = port;
+    this.baudrate = baudrate;
+    this.options = options;
+
+    this._process = undefined;
+    this._stderr = '';
+    this._onDidOpen = new vscode.EventEmitter();
+    this._onDidReceiveData = new vscode.EventEmitter();
+    this._onDidClose = new vscode.EventEmitter();
+    this.onDidOpen = this._onDidOpen.event;
+    this.onDidReceiveData = this._onDidReceiveData.event;
+    this.onDidClose = this._onDidClose.event;
+  }
+
+  get isOpen() {
+    return Boolean(this._process);
+  }
+
+  open() {
+    this._stderr = '';
+    this._process = spawn(
+      pioNodeHelpers.core.getCorePythonExe(),
+      [
+        '-u',
+        '-c',
+        BRIDGE_SCRIPT,
+        this.port,
+        this.baudrate.toString(),
+        JSON.stringify(this.options),
+        SerialPortConnection.READY_MARKER,
+      ],
+      { env: process.env },
+    );
+    this._process.stdin.on('error', (err) => console.warn(err));
+    this._process.stdout.on('data', (data) => this._onDidReceiveData.fire(data));
+    this._process.stderr.on('data', (data) => this._onStderrData(data));
+    this._process.on('error', (err) => this._onProcessExit(err));
+    this._process.on('close', (code) =>
+      this._onProcessExit(
+        code ? new Error(this._stderr.trim() || `Exited with code ${code}`) : undefined,
+      ),
+    );
+  }
+
+  _onStderrData(data) {
+    this._stderr += data.toString();
+    if (this._stderr.includes(SerialPortConnection.READY_MARKER)) {
+      this._stderr = this._stderr.replace(SerialPortConnection.READY_MARKER, '').trim();
+      this._onDidOpen.fire();
+    }
+  }
+
+  _onProcessExit(err) {
+    if (!this._process) {
+      return;
+    }
+    this._process = undefined;
+    this._onDidClose.fire(err);
+  }
+
+  write(data) {
+    if (this._process) {
+      this._process.stdin.write(data);
+    }
+  }
+
+  close() {
+    if (!this._process) {
+      return;
+    }
+    const proc = this._process;
+    this._process = undefined;
+    proc.stdin.end();
+    proc.kill();
+  }
+
+  dispose() {
+    this.close();
+    this._onDidOpen.dispose();
+    this._onDidReceiveData.dispose();
+    this._onDidClose.dispose();
+  }
+}
@@ -0,0 +1,408 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import SerialPortConnection from './serial-port';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import vscode from 'vscode';
+
+const CTRL_C = '\x03';
+const CTRL_T = '\x14';
+
+function stripControlChars(text) {
+  return Array.from(text)
+    .filter(
+      (char) => (char >= ' ' && char !== '\x7f') || ['\t', '\r', '\n'].includes(char),
+    )
+    .join('');
+}
+
+/**
+ * The serial monitor pseudo-terminal, it sends the input line by line and
+ * keeps reconnecting to the port until the terminal is closed
+ */
+export default class SerialMonitorTerminal {
+  static RECONNECT_DELAY = 1000; // 1 sec
+  static EOL = { CR: '\r', LF: '\n', CRLF: '\r\n' };
+  static SUPPORTED_FILTERS = [
+    'default',
+    'direct',
+    'hexlify',
+    'log2file',
+    'nocontrol',
+    'printable',
+    'send_on_enter',
+    'time',
+  ];
+
+  constructor({
+    port,
+    baudrate = 9600,
+    projectDir = undefined,
+    env = undefined,
+    filters = [],
+    eol = 'CRLF',
+    encoding = 'utf-8',
+    connectionOptions = {},
+    createConnection = undefined,
+  }) {
+    this.port = port;
+    this.baudrate = baudrate;
+    this.projectDir = projectDir;
+    this.env = env;
+    this.filters = filters;
+    this.eol = SerialMonitorTerminal.EOL[eol] || SerialMonitorTerminal.EOL.CRLF;
+    this.connectionOptions = connectionOptions;
+    this.timestamps = filters.includes('time');
+    this.hexView = filters.includes('hexlify');
+    this.logFilePath = undefined;
+
+    this._createConnection =
+      createConnection ||
+      ((port, baudrate, options) => new SerialPortConnection(port, baudrate, options));
+    this._decoder = this._createDecoder(encoding);
+    this._stripControlChars = ['nocontrol', 'printable'].some((name) =>
+      filters.includes(name),
+    );
+    this._connection = undefined;
+    this._connected = false;
+    this._waiting = false;
+    this._released = false;
+    this._disposed = false;
+    this._reconnectTimeout = undefined;
+    this._logStream = undefined;
+    this._inputBuffer = '';
+    this._menuMode = false;
+    this._atLineStart = true;
+    this._lastChar = undefined;
+    this._hexColumn = 0;
+
+    this._onDidWrite = new vscode.EventEmitter();
+    this._onDidClose = new vscode.EventEmitter();
+    this.onDidWrite = this._onDidWrite.event;
+    this.onDidClose = this._onDidClose.event;
+  }
+
+  get title() {
+    return this.env
+      ? `Monitor: ${this.port} (env:${this.env})`
+      : `Monitor: ${this.port}`;
+  }
+
+  get isReleased() {
+    return this._released;
+  }
+
+  _createDecoder(encoding) {
+    try {
+      return new TextDecoder(encoding);
+    } catch (err) {
+      return new TextDecoder('utf-8');
+    }
+  }
+
+  /**
+   * Pseudoterminal
+   */
+  open() {
+    this._writeInfo(
+      `Serial monitor on ${this.port} | ${this.baudrate} baud | ` +
+        'Ctrl+T H: hex view | Ctrl+T T: timestamps | Ctrl+T L: log to file | ' +
+        'Ctrl+C: quit',
+    );
+    const unsupportedFilters = this.filters.filter(
+      (name) => !SerialMonitorTerminal.SUPPORTED_FILTERS.includes(name),
+    );
+    if (unsupportedFilters.length) {
+      this._writeInfo(
+        `Filters are not supported by the built-in monitor: ${unsupportedFilters.join(', ')}. ` +
+          'Please use the "Monitor" project task instead',
+      );
+    }
+    if (this.filters.includes('log2file')) {
+      this.toggleLogToFile();
+    }
+    this._connect();
+  }
+
+  close() {
+    this.dispose();
+  }
+
+  handleInput(data) {
+    if (this._menuMode) {
+      this._menuMode = false;
+      return this._handleMenuKey(data.toLowerCase());
+    }
+    // ignore escape sequences, such as arrow keys
+    if (data.startsWith('\x1b')) {
+      return;
+    }
+    for (const char of data) {
+      switch (char) {
+        case CTRL_T:
+          this._menuMode = true;
+          break;
+
+        case CTRL_C:
+          this._onDidClose.fire();
+          return;
+
+        case '\r':
+          this._write('\r\n');
+          this.sendLine(this._inputBuffer);
+          this._inputBuffer = '';
+          this._atLineStart = true;
+          break;
+
+        case '\x7f':
+        case '\b':
+          if (this._inputBuffer) {
+            this._inputBuffer = this._inputBuffer.slice(0, -1);
+            this._write('\b \b');
+          }
+          break;
+
+        default:
+          if (char >= ' ') {
+            this._inputBuffer += char;
+            this._write(char);
+          }
+      }
+    }
+  }
+
+  _handleMenuKey(key) {
+    switch (key) {
+      case 'h':
+        return this.toggleHexView();
+      case 't':
+        return this.toggleTimestamps();
+      case 'l':
+        return this.toggleLogToFile();
+    }
+  }
+
+  /**
+   * Features
+   */
+  sendLine(text) {
+    if (!this._connected) {
+      this._writeInfo(`Could not send data, ${this.port} is not connected`);
+      return;
+    }
+    this._connection.write(Buffer.from(text + this.eol));
+  }
+
+  toggleTimestamps() {
+    this.timestamps = !this.timestamps;
+    this._writeInfo(`Timestamps: ${this.timestamps ? 'on' : 'off'}`);
+  }
+
+  toggleHexView() {
+    this.hexView = !this.hexView;
+    this._hexColumn = 0;
+    this._writeInfo(`Hex view: ${this.hexView ? 'on' : 'off'}`);
+  }
+
+  toggleLogToFile() {
+    if (this._logStream) {
+      this._logStream.end();
+      this._logStream = undefined;
+      this._writeInfo(`Stopped logging to ${this.logFilePath}`);
+      return;
+    }
+    const logsDir = path.join(this.projectDir || os.tmpdir(), 'logs');
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[-:]/g, '')
+      .replace('T', '-')
+      .substring(2, 15);
+    this.logFilePath = path.join(logsDir, `device-monitor-${timestamp}.log`);
+    try {
+      fs.mkdirSync(logsDir, { recursive: true });
+      this._logStream = fs.createWriteStream(this.logFilePath, { flags: 'a' });
+      this._writeInfo(`Logging to ${this.logFilePath}`);
+    } catch (err) {
+      this._writeInfo(`Could not create a log file: ${err}`);
+    }
+  }
+
+  /**
+   * Free the port for the other process (upload, test), the monitor
+   * will reconnect after the "resume" call
+   */
+  release() {
+    if (this._released || this._disposed) {
+      return;
+    }
+    this._released = true;
+    this._disconnect();
+    this._writeInfo(`Port ${this.port} has been released`);
+  }
+
+  resume() {
+    if (!this._released || this._disposed) {
+      return;
+    }
+    this._released = false;
+    this._writeInfo(`Reconnecting to ${this.port}...`);
+    this._connect();
+  }
+
+  /**
+   * Connection
+   */
+  _connect() {
+    if (this._disposed || this._released || this._connection) {
+      return;
+    }
+    const connection = this._createConnection(
+      this.port,
+      this.baudrate,
+      this.connectionOptions,
+    );
+    this._connection = connection;
+    connection.onDidOpen(() => {
+      this._connected = true;
+      this._waiting = false;
+      this._writeInfo(`Connected to ${this.port}`);
+    });
+    connection.onDidReceiveData((data) => this._onDidReceiveData(data));
+    connection.onDidClose((err) => this._onDidCloseConnection(connection, err));
+    try {
+      connection.open();
+    } catch (err) {
+      this._onDidCloseConnection(connection, err);
+    }
+  }
+
+  _disconnect() {
+    if (this._reconnectTimeout) {
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = undefined;
+    }
+    if (this._connection) {
+      this._connection.dispose();
+    }
+    this._connection = undefined;
+    this._connected = false;
+  }
+
+  _onDidCloseConnection(connection, err) {
+    if (connection !== this._connection) {
+      return;
+    }
+    const wasConnected = this._connected;
+    this._disconnect();
+    if (this._disposed || this._released) {
+      return;
+    }
+    if (wasConnected) {
+      this._writeInfo(`Disconnected from ${this.port}${err ? `: ${err.message}` : ''}`);
+    }
+    if (!this._waiting) {
+      this._waiting = true;
+      this._writeInfo(
+        `Waiting for ${this.port}${!wasConnected && err ? ` (${err.message})` : ''}...`,
+      );
+    }
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = undefined;
+      this._connect();
+    }, SerialMonitorTerminal.RECONNECT_DELAY);
+  }
+
+  _onDidReceiveData(data) {
+    if (this._logStream) {
+      this._logStream.write(data);
+    }
+    this._write(
+      this.hexView
+        ? this._formatHex(data)
+        : this._formatText(this._decoder.decode(data, { stream: true })),
+    );
+  }
+
+  /**
+   * Output
+   */
+  _getTimestamp() {
+    return `${new Date().toTimeString().substring(0, 8)}.${new Date()
+      .getMilliseconds()
+      .toString()
+      .padStart(3, '0')} > `;
+  }
+
+  _formatText(text) {
+    if (this._stripControlChars) {
+      text = stripControlChars(text);
+    }
+    let result = '';
+    for (const char of text) {
+      if (this._atLineStart && this.timestamps && char !== '\r' && char !== '\n') {
+        result += this._getTimestamp();
+      }
+      if (char === '\n') {
+        result += this._lastChar === '\r' ? '\n' : '\r\n';
+        this._atLineStart = true;
+      } else {
+        result += char;
+        this._atLineStart = char === '\r' ? this._atLineStart : false;
+      }
+      this._lastChar = char;
+    }
+    return result;
+  }
+
+  _formatHex(data) {
+    let result = '';
+    for (const byte of data) {
+      if (this._hexColumn === 0 && this.timestamps) {
+        result += this._getTimestamp();
+      }
+      result += byte.toString(16).toUpperCase().padStart(2, '0');
+      this._hexColumn++;
+      if (this._hexColumn === 16) {
+        result += '\r\n';
+        this._hexColumn = 0;
+      } else {
+        result += ' ';
+      }
+    }
+    return result;
+  }
+
+  _write(text) {
+    if (!this._disposed) {
+      this._onDidWrite.fire(text);
+    }
+  }
+
+  _writeInfo(message) {
+    const prefix = this._atLineStart && !this._hexColumn ? '' : '\r\n';
+    this._write(`${prefix}\x1b[90m--- ${message} ---\x1b[0m\r\n`);
+    this._atLineStart = true;
+    this._hexColumn = 0;
+  }
+
+  dispose() {
+    if (this._disposed) {
+      return;
+    }
+    this._disconnect();
+    if (this._logStream) {
+      this._logStream.end();
+      this._logStream = undefined;
+    }
+    this._disposed = true;
+    this._onDidWrite.dispose();
+    this._onDidClose.dispose();
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import * as pioNodeHelpers from 'pioarduino-node-helpers';
+
+import fs from 'fs';
+import path from 'path';
+import { stripAnsiEscapes } from '../utils';
+import vscode from 'vscode';
+
+const LINKER_PREFIX_RE = /^\S*?\b(?:ld(?:\.bfd|\.gold|\.lld)?|collect2)(?:\.exe)?:\s+/;
+const INCLUDED_FROM_RE =
+  /^(?:In file included from|\s+from)\s+(.+?):(\d+)(?::(\d+))?[:,]$/;
+const CONTEXT_RE =
+  /^(.+?):\s+((?:In (?:function|member function|static member function|constructor|destructor|lambda function|instantiation of|substitution of) .+?)|At global scope|At top level):?$/;
+const REQUIRED_FROM_RE = /^(.+?):(\d+):(\d+):\s+(required (?:from|by) .+)$/;
+const DIAGNOSTIC_RE =
+  /^(.+?):(\d+):(?:(\d+):)?\s+(fatal error|error|warning|note|remark):\s+(.*)$/;
+const LINKER_FUNCTION_RE = /^(.+?):\s+in function [`'](.+)'.*:$/;
+const LINKER_LINE_RE =
+  /^(.+?):(\d+):\s+((?:undefined reference to|multiple definition of) .+)$/;
+const LINKER_SECTION_RE =
+  /^(.+?):\(.+?\):\s+((?:undefined reference to|multiple definition of) .+)$/;
+const LINKER_PROJECT_RE =
+  /((?:region `.+' overflowed by .+)|(?:section `.+' will not fit in region .+)|(?:cannot find -l.+)|(?:undefined symbol: .+))$/;
+
+const SEVERITIES = {
+  'fatal error': vscode.DiagnosticSeverity.Error,
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  note: vscode.DiagnosticSeverity.Information,
+  remark: vscode.DiagnosticSeverity.Information,
+};
+
+function listSubDirs(dir) {
+  try {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => path.join(dir, entry.name));
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Resolve the paths from the compiler/linker output, they can be relative to
+ * the project, to the libraries in ".pio/libdeps" or to the frameworks
+ */
+export class BuildPathResolver {
+  constructor(projectDir, env = undefined) {
+    this.projectDir = projectDir;
+    this.env = env;
+    this._cache = new Map();
+    this._searchDirs = undefined;
+  }
+
+  getSearchDirs() {
+    if (this._searchDirs) {
+      return this._searchDirs;
+    }
+    const libdepsDir = path.join(this.projectDir, '.pio', 'libdeps');
+    const envLibdepsDirs = this.env
+      ? [path.join(libdepsDir, this.env)]
+      : listSubDirs(libdepsDir);
+    let frameworkDirs = [];
+    try {
+      frameworkDirs = listSubDirs(
+        path.join(pioNodeHelpers.core.getCoreDir(), 'packages'),
+      ).filter((dir) => path.basename(dir).startsWith('framework-'));
+    } catch (err) {}
+    this._searchDirs = [
+      this.projectDir,
+      ...envLibdepsDirs,
+      ...envLibdepsDirs.reduce((result, dir) => [...result, ...listSubDirs(dir)], []),
+      ...listSubDirs(path.join(this.projectDir, 'lib')),
+      ...frameworkDirs,
+    ];
+    return this._searchDirs;
+  }
+
+  resolve(filePath) {
+    if (!this._cache.has(filePath)) {
+      this._cache.set(filePath, this._resolve(filePath));
+    }
+    return this._cache.get(filePath);
+  }
+
+  _resolve(filePath) {
+    if (path.isAbsolute(filePath)) {
+      return path.normalize(filePath);
+    }
+    const candidates = [filePath];
+    const sourcePath = this.objectToSourcePath(filePath);
+    if (sourcePath) {
+      candidates.unshift(sourcePath);
+    }
+    for (const candidate of candidates) {
+      for (const dir of this.getSearchDirs()) {
+        const fullPath = path.normalize(path.join(dir, candidate));
+        if (fs.existsSync(fullPath)) {
+          return fullPath;
+        }
+      }
+    }
+    return path.normalize(path.join(this.projectDir, sourcePath || filePath));
+  }
+
+  /**
+   * Map the object file from the build directory to its source, such as
+   * ".pio/build/env/src/main.cpp.o" => "src/main.cpp" or
+   * ".pio/build/env/lib4d3/Foo/foo.cpp.o" => "Foo/foo.cpp"
+   */
+  objectToSourcePath(filePath) {
+    const parts = filePath.replace(/\.o$/, '').split(/[\\/]/);
+    if (parts[0] !== '.pio' || parts[1] !== 'build' || parts.length < 5) {
+      return undefined;
+    }
+    const relParts = parts.slice(3);
+    if (/^lib[0-9a-f]+$/.test(relParts[0])) {
+      relParts.shift();
+    }
+    return relParts.join(path.sep);
+  }
+}
+
+/**
+ * Parse GCC/Clang/linker output line by line and collect diagnostics with
+ * the "In file included from", template backtrace and "note:" lines
+ * as the related information
+ */
+export class BuildOutputParser {
+  constructor(resolver) {
+    this.resolver = resolver;
+    this._diagnostics = new Map(); // fsPath => [Diagnostic]
+    this._keys = new Set();
+    this._related = [];
+    this._context = undefined; // { fsPath, message }
+    this._linkerContext = undefined; // { objectFile, message }
+    this._lastDiagnostic = undefined;
+    this._pending = '';
+  }
+
+  feed(data) {
+    const lines = (this._pending + data).split(/\r?\n/);
+    this._pending = lines.pop();
+    lines.forEach((line) => this.parseLine(line));
+  }
+
+  flush() {
+    if (this._pending) {
+      this.parseLine(this._pending);
+      this._pending = '';
+    }
+  }
+
+  getDiagnostics() {
+    return [...this._diagnostics.entries()].map(([fsPath, diagnostics]) => [
+      vscode.Uri.file(fsPath),
+      diagnostics,
+    ]);
+  }
+
+  createLocation(file, line, column = undefined) {
+    const lineNum = Math.max(parseInt(line) - 1, 0);
+    const colNum = column ? Math.max(parseInt(column) - 1, 0) : 0;
+    return new vscode.Location(
+      vscode.Uri.file(this.resolver.resolve(file)),
+      new vscode.Range(lineNum, colNum, lineNum, column ? colNum + 1 : 1000),
+    );
+  }
+
+  parseLine(rawLine) {
+    let line = stripAnsiEscapes(rawLine).trimEnd();
+    if (!line) {
+      return;
+    }
+    const isLinkerLine = LINKER_PREFIX_RE.test(line);
+    line = line.replace(LINKER_PREFIX_RE, '');
+
+    let matches = INCLUDED_FROM_RE.exec(line);
+    if (matches) {
+      this._related.push(
+        new vscode.DiagnosticRelatedInformation(
+          this.createLocation(matches[1], matches[2], matches[3]),
+          'In file included from here',
+        ),
+      );
+      return;
+    }
+
+    matches = REQUIRED_FROM_RE.exec(line);
+    if (matches) {
+      this._related.push(
+        new vscode.DiagnosticRelatedInformation(
+          this.createLocation(matches[1], matches[2], matches[3]),
+          matches[4],
+        ),
+      );
+      return;
+    }
+
+    matches = LINKER_FUNCTION_RE.exec(line);
+    if (matches) {
+      this._linkerContext = {
+        objectFile: matches[1],
+        message: `In function '${matches[2]}'`,
+      };
+      return;
+    }
+
+    matches = CONTEXT_RE.exec(line);
+    if (matches) {
+      this._context = matches[2].startsWith('At ')
+        ? undefined
+        : { fsPath: this.resolver.resolve(matches[1]), message: matches[2] };
+      return;
+    }
+
+    matches = DIAGNOSTIC_RE.exec(line);
+    if (matches) {
+      const [, file, lineNum, column, severity, message] = matches;
+      if (severity === 'note' || severity === 'remark') {
+        return this.addNote(this.createLocation(file, lineNum, column), message);
+      }
+      const location = this.createLocation(file, lineNum, column);
+      const context =
+        this._context && this._context.fsPath === location.uri.fsPath
+          ? this._context.message
+          : undefined;
+      return this.addDiagnostic(location, SEVERITIES[severity], message, context);
+    }
+
+    const linkerContext = this._linkerContext ? this._linkerContext.message : undefined;
+    matches = LINKER_LINE_RE.exec(line);
+    if (matches) {
+      return this.addDiagnostic(
+        this.createLocation(matches[1], matches[2]),
+        vscode.DiagnosticSeverity.Error,
+        matches[3],
+        linkerContext,
+      );
+    }
+
+    matches = LINKER_SECTION_RE.exec(line);
+    if (matches) {
+      return this.addDiagnostic(
+        this.createLocation(
+          this._linkerContext ? this._linkerContext.objectFile : matches[1],
+          1,
+        ),
+        vscode.DiagnosticSeverity.Error,
+        matches[2],
+        linkerContext,
+      );
+    }
+
+    matches = isLinkerLine ? LINKER_PROJECT_RE.exec(line) : undefined;
+    if (matches) {
+      return this.addDiagnostic(
+        this.createLocation('platformio.ini', 1),
+        vscode.DiagnosticSeverity.Error,
+        `Linker: ${matches[1]}`,
+      );
+    }
+  }
+
+  addDiagnostic(location, severity, message, context = undefined) {
+    const diagnostic = new vscode.Diagnostic(
+      location.range,
+      context ? `${message} (${context})` : message,
+      severity,
+    );
+    diagnostic.source = 'PlatformIO';
+    diagnostic.relatedInformation = this._related;
+    this._related = [];
+    this._lastDiagnostic = diagnostic;
+
+    // the same header can be compiled by several sources
+    const key = [location.uri.fsPath, location.range.start.line, message].join(':');
+    if (this._keys.has(key)) {
+      return;
+    }
+    this._keys.add(key);
+    if (!this._diagnostics.has(location.uri.fsPath)) {
+      this._diagnostics.set(location.uri.fsPath, []);
+    }
+    this._diagnostics.get(location.uri.fsPath).push(diagnostic);
+  }
+
+  addNote(location, message) {
+    if (!this._lastDiagnostic) {
+      return;
+    }
+    this._lastDiagnostic.relatedInformation.push(
+      new vscode.DiagnosticRelatedInformation(location, message),
+    );
+  }
+}
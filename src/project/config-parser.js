@@ -0,0 +1,344 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import vscode from 'vscode';
+
+// the same template as "VARTPL_RE" in PlatformIO Core
+const INTERPOLATION_RE = /\$\{(?:([^\.\}\()]+)\.)?([^\}]+)\}/g;
+const INLINE_COMMENT_RE = /\s[;#].*$/;
+const GLOB_CHARS_RE = /[*?\[]/;
+
+export const SECTION_KIND_PLATFORMIO = 'platformio';
+export const SECTION_KIND_ENV = 'env';
+export const SECTION_KIND_NAMED_ENV = 'env:NAME';
+export const SECTION_KIND_CUSTOM = 'custom';
+
+export class ConfigOption {
+  constructor(section, name, line, column) {
+    this.section = section;
+    this.name = name;
+    this.line = line;
+    this.nameRange = new vscode.Range(line, column, line, column + name.length);
+    this.valueParts = []; // [{ line, start, text }]
+  }
+
+  get value() {
+    return this.valueParts
+      .map((part) => part.text)
+      .filter((text) => text.length)
+      .join('\n');
+  }
+
+  get range() {
+    const lastPart = this.valueParts[this.valueParts.length - 1];
+    if (!lastPart) {
+      return this.nameRange;
+    }
+    return new vscode.Range(
+      this.nameRange.start,
+      new vscode.Position(lastPart.line, lastPart.start + lastPart.text.length),
+    );
+  }
+
+  get valueRange() {
+    const parts = this.valueParts.filter((part) => part.text.length);
+    if (!parts.length) {
+      return new vscode.Range(this.nameRange.end, this.nameRange.end);
+    }
+    const lastPart = parts[parts.length - 1];
+    return new vscode.Range(
+      parts[0].line,
+      parts[0].start,
+      lastPart.line,
+      lastPart.start + lastPart.text.length,
+    );
+  }
+
+  /**
+   * Split a multi-value option (comma or new line separated) into the items
+   */
+  getValueItems() {
+    const result = [];
+    for (const part of this.valueParts) {
+      let offset = 0;
+      for (const chunk of part.text.split(',')) {
+        const text = chunk.trim();
+        if (text) {
+          const start = part.start + offset + chunk.indexOf(text);
+          result.push({
+            text,
+            range: new vscode.Range(part.line, start, part.line, start + text.length),
+          });
+        }
+        offset += chunk.length + 1;
+      }
+    }
+    return result;
+  }
+}
+
+export class ConfigSection {
+  constructor(document, name, line, column) {
+    this.document = document;
+    this.name = name;
+    this.line = line;
+    this.endLine = line;
+    this.nameRange = new vscode.Range(line, column, line, column + name.length);
+    this.options = [];
+  }
+
+  get kind() {
+    if (this.name === 'platformio') {
+      return SECTION_KIND_PLATFORMIO;
+    } else if (this.name === 'env') {
+      return SECTION_KIND_ENV;
+    } else if (this.name.startsWith('env:')) {
+      return SECTION_KIND_NAMED_ENV;
+    }
+    return SECTION_KIND_CUSTOM;
+  }
+
+  get envName() {
+    return this.kind === SECTION_KIND_NAMED_ENV ? this.name.substring(4) : undefined;
+  }
+
+  get range() {
+    return new vscode.Range(
+      this.line,
+      0,
+      this.endLine,
+      this.document.lines[this.endLine].length,
+    );
+  }
+
+  getOption(name) {
+    return this.options.find((option) => option.name === name);
+  }
+}
+
+export class ConfigDocument {
+  constructor(uri, text) {
+    this.uri = uri;
+    this.lines = text.split(/\r?\n/);
+    this.sections = [];
+    this._parse();
+  }
+
+  _parse() {
+    let section = undefined;
+    let option = undefined;
+    this.lines.forEach((line, lineNum) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('#')) {
+        return;
+      }
+      const isContinuation = line.startsWith(' ') || line.startsWith('\t');
+      if (isContinuation && option) {
+        const text = line.replace(INLINE_COMMENT_RE, '').trim();
+        option.valueParts.push({ line: lineNum, start: line.indexOf(text), text });
+        section.endLine = lineNum;
+        return;
+      }
+      option = undefined;
+      const sectionMatch = /^\[([^\]]+)\]/.exec(line);
+      if (sectionMatch) {
+        const name = sectionMatch[1].trim();
+        section = new ConfigSection(this, name, lineNum, line.indexOf(name));
+        this.sections.push(section);
+        return;
+      }
+      const sepPos = line.indexOf('=');
+      if (!section || sepPos < 1) {
+        return;
+      }
+      const name = line.substring(0, sepPos).trim();
+      option = new ConfigOption(section, name, lineNum, line.indexOf(name));
+      const rawValue = line.substring(sepPos + 1);
+      const text = rawValue.replace(INLINE_COMMENT_RE, '').trim();
+      option.valueParts.push({
+        line: lineNum,
+        start: sepPos + 1 + (text ? rawValue.indexOf(text) : 0),
+        text,
+      });
+      section.options.push(option);
+      section.endLine = lineNum;
+    });
+  }
+
+  getSections(name) {
+    return this.sections.filter((section) => section.name === name);
+  }
+
+  getSectionAt(position) {
+    return this.sections.find(
+      (section) => section.line <= position.line && position.line <= section.endLine,
+    );
+  }
+
+  getOptionAt(position) {
+    const section = this.getSectionAt(position);
+    if (!section) {
+      return undefined;
+    }
+    return section.options.find(
+      (option) =>
+        option.line <= position.line && option.range.end.line >= position.line,
+    );
+  }
+
+  /**
+   * Returns a list of "${section.option}" interpolations with the ranges
+   * of the whole template, its section and option parts
+   */
+  getInterpolations() {
+    const result = [];
+    for (const section of this.sections) {
+      for (const option of section.options) {
+        for (const part of option.valueParts) {
+          for (const match of part.text.matchAll(INTERPOLATION_RE)) {
+            const start = part.start + match.index;
+            const optionStart = start + match[0].length - match[2].length - 1;
+            const item = {
+              section:
+                match[1] === undefined || match[1] === 'this' ? section.name : match[1],
+              option: match[2],
+              isSysEnv: match[1] === 'sysenv',
+              parentSection: section,
+              parentOption: option,
+              range: new vscode.Range(
+                part.line,
+                start,
+                part.line,
+                start + match[0].length,
+              ),
+              optionRange: new vscode.Range(
+                part.line,
+                optionStart,
+                part.line,
+                optionStart + match[2].length,
+              ),
+            };
+            if (match[1] !== undefined && match[1] !== 'this') {
+              item.sectionRange = new vscode.Range(
+                part.line,
+                start + 2,
+                part.line,
+                start + 2 + match[1].length,
+              );
+            }
+            result.push(item);
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  getInterpolationAt(position) {
+    return this.getInterpolations().find((item) => item.range.contains(position));
+  }
+}
+
+export function resolveConfigPath(projectDir, filePath) {
+  return path.isAbsolute(filePath) ? filePath : path.join(projectDir, filePath);
+}
+
+async function readConfigText(fsPath) {
+  const openedDocument = vscode.workspace.textDocuments.find(
+    (document) => document.uri.fsPath === fsPath,
+  );
+  if (openedDocument) {
+    return openedDocument.getText();
+  }
+  return await fs.readFile(fsPath, { encoding: 'utf-8' });
+}
+
+async function expandConfigPaths(projectDir, pattern) {
+  const fsPath = resolveConfigPath(projectDir, pattern);
+  if (!GLOB_CHARS_RE.test(pattern)) {
+    return [fsPath];
+  }
+  const uris = await vscode.workspace.findFiles(
+    path.isAbsolute(pattern)
+      ? new vscode.RelativePattern(path.dirname(fsPath), path.basename(fsPath))
+      : new vscode.RelativePattern(projectDir, pattern),
+  );
+  return uris.map((uri) => uri.fsPath).sort();
+}
+
+/**
+ * Load "platformio.ini" and the configuration files included
+ * via the "extra_configs" option
+ */
+export async function loadProjectConfigDocuments(projectDir) {
+  const mainPath = path.join(projectDir, 'platformio.ini');
+  const mainDocument = new ConfigDocument(
+    vscode.Uri.file(mainPath),
+    await readConfigText(mainPath),
+  );
+  const result = [mainDocument];
+  const extraConfigs = mainDocument
+    .getSections('platformio')
+    .map((section) => section.getOption('extra_configs'))
+    .filter((option) => option);
+  for (const option of extraConfigs) {
+    for (const item of option.getValueItems()) {
+      for (const fsPath of await expandConfigPaths(projectDir, item.text)) {
+        if (result.some((document) => document.uri.fsPath === fsPath)) {
+          continue;
+        }
+        try {
+          result.push(
+            new ConfigDocument(vscode.Uri.file(fsPath), await readConfigText(fsPath)),
+          );
+        } catch (err) {
+          console.warn(err);
+        }
+      }
+    }
+  }
+  return result;
+}
+
+export function findSections(documents, name) {
+  return documents.reduce(
+    (result, document) => [...result, ...document.getSections(name)],
+    [],
+  );
+}
+
+/**
+ * Find where an option is declared for the section, following
+ * the "extends" option and the common "[env]" section
+ */
+export function findOptionDeclarations(documents, sectionName, optionName, _seen = []) {
+  if (_seen.includes(sectionName)) {
+    return [];
+  }
+  _seen.push(sectionName);
+  const sections = findSections(documents, sectionName);
+  const result = sections
+    .map((section) => section.getOption(optionName))
+    .filter((option) => option);
+  if (result.length || !sectionName.startsWith('env:')) {
+    return result;
+  }
+  for (const section of sections) {
+    for (const option of section.options.filter((item) => item.name === 'extends')) {
+      for (const item of option.getValueItems()) {
+        result.push(...findOptionDeclarations(documents, item.text, optionName, _seen));
+      }
+    }
+  }
+  if (!result.length) {
+    result.push(...findOptionDeclarations(documents, 'env', optionName, _seen));
+  }
+  return result;
+}
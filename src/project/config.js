@@ -8,20 +8,104 @@
 
 import * as pioNodeHelpers from 'pioarduino-node-helpers';
 
+import {
+  ConfigDocument,
+  SECTION_KIND_CUSTOM,
+  SECTION_KIND_ENV,
+  SECTION_KIND_NAMED_ENV,
+  SECTION_KIND_PLATFORMIO,
+  findOptionDeclarations,
+  findSections,
+  loadProjectConfigDocuments,
+  resolveConfigPath,
+} from './config-parser';
 import { disposeSubscriptions, listCoreSerialPorts } from '../utils';
+import {
+  findInstalledPackage,
+  listGlobalLibraries,
+  listInstalledPlatforms,
+  listProjectLibraries,
+} from './packages';
+import { promises as fs } from 'fs';
+import { getPIOProjectDirs } from './helpers';
 import path from 'path';
 import vscode from 'vscode';
 
+/**
+ * The resolved configuration of the environment, "extends", "[env]" and
+ * "${...}" interpolations are processed by the Core
+ */
+export async function getCoreEnvConfig(projectDir, env) {
+  const script = `
+import json
+import sys
+
+from platformio.public import ProjectConfig
+
+config = ProjectConfig.get_instance()
+print(json.dumps(config.items(env=sys.argv[1], as_dict=True), default=str))
+  `;
+  const output = await pioNodeHelpers.core.getCorePythonCommandOutput(
+    ['-c', script, env],
+    { projectDir },
+  );
+  return JSON.parse(output);
+}
+
+export const NATIVE_DEVICE_LANE = 'native';
+
+/**
+ * The envs on the same device lane flash and open the same serial port,
+ * so their uploads and tests are executed one by one. The "native" tests
+ * run on the host machine
+ */
+export function getEnvDeviceLane(envConfig) {
+  if (envConfig.platform === 'native') {
+    return NATIVE_DEVICE_LANE;
+  }
+  return `port:${envConfig.test_port || envConfig.upload_port || 'auto'}`;
+}
+
 export class ProjectConfigLanguageProvider {
-  static DOCUMENT_SELECTOR = { language: 'ini' };
+  static DOCUMENT_SELECTOR = { language: 'ini', scheme: 'file' };
+  static EFFECTIVE_CONFIG_SCHEME = 'platformio-config';
+  static DIAGNOSTIC_DEPRECATED_OPTION = 'deprecated-option';
+  static DIAGNOSTIC_UNKNOWN_OPTION = 'unknown-option';
+  static DIAGNOSTIC_WRONG_SCOPE_OPTION = 'wrong-scope-option';
+  static DIAGNOSTIC_INVALID_VALUE = 'invalid-value';
+  static VALIDATE_DELAY = 500; // 0.5 sec
+  static BOOLEAN_VALUES = [
+    '1',
+    'yes',
+    'true',
+    'y',
+    'on',
+    '0',
+    'no',
+    'false',
+    'n',
+    'off',
+  ];
+  static SEMANTIC_TOKENS_LEGEND = new vscode.SemanticTokensLegend(
+    ['namespace', 'class', 'struct', 'variable', 'property'],
+    ['declaration', 'defaultLibrary', 'readonly', 'deprecated', 'unknown'],
+  );
   SCOPE_PLATFORMIO = 'platformio';
   SCOPE_ENV = 'env';
 
   constructor() {
     this.diagnosticCollection =
       vscode.languages.createDiagnosticCollection('PlatformIO');
+    this.schemaDiagnosticCollection =
+      vscode.languages.createDiagnosticCollection('PlatformIO Schema');
+    this._onDidChangeEffectiveConfig = new vscode.EventEmitter();
+    this._onDidRenameEnv = new vscode.EventEmitter();
+    this.onDidRenameEnv = this._onDidRenameEnv.event;
     this.subscriptions = [
       this.diagnosticCollection,
+      this.schemaDiagnosticCollection,
+      this._onDidChangeEffectiveConfig,
+      this._onDidRenameEnv,
       vscode.languages.registerHoverProvider(
         ProjectConfigLanguageProvider.DOCUMENT_SELECTOR,
         {
@@ -36,11 +120,79 @@ export class ProjectConfigLanguageProvider {
             await this.provideCompletionItems(document, position, token, context),
         },
       ),
-      vscode.workspace.onDidOpenTextDocument((document) =>
-        this.lintConfig(document.uri),
+      vscode.languages.registerDefinitionProvider(
+        ProjectConfigLanguageProvider.DOCUMENT_SELECTOR,
+        {
+          provideDefinition: async (document, position) =>
+            await this.provideDefinition(document, position),
+        },
       ),
-      vscode.workspace.onDidSaveTextDocument((document) =>
-        this.lintConfig(document.uri),
+      vscode.languages.registerReferenceProvider(
+        ProjectConfigLanguageProvider.DOCUMENT_SELECTOR,
+        {
+          provideReferences: async (document, position, context) =>
+            await this.provideReferences(document, position, context),
+        },
+      ),
+      vscode.languages.registerCodeActionsProvider(
+        ProjectConfigLanguageProvider.DOCUMENT_SELECTOR,
+        {
+          provideCodeActions: async (document, range, context) =>
+            await this.provideCodeActions(document, range, context),
+        },
+        { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] },
+      ),
+      vscode.languages.registerRenameProvider(
+        ProjectConfigLanguageProvider.DOCUMENT_SELECTOR,
+        {
+          prepareRename: async (document, position) =>
+            await this.prepareRename(document, position),
+          provideRenameEdits: async (document, position, newName) =>
+            await this.provideRenameEdits(document, position, newName),
+        },
+      ),
+      vscode.languages.registerDocumentSemanticTokensProvider(
+        ProjectConfigLanguageProvider.DOCUMENT_SELECTOR,
+        {
+          provideDocumentSemanticTokens: async (document, token) =>
+            await this.provideDocumentSemanticTokens(document, token),
+        },
+        ProjectConfigLanguageProvider.SEMANTIC_TOKENS_LEGEND,
+      ),
+      vscode.languages.registerDocumentSymbolProvider(
+        ProjectConfigLanguageProvider.DOCUMENT_SELECTOR,
+        {
+          provideDocumentSymbols: (document) => this.provideDocumentSymbols(document),
+        },
+      ),
+      vscode.languages.registerWorkspaceSymbolProvider({
+        provideWorkspaceSymbols: async (query, token) =>
+          await this.provideWorkspaceSymbols(query, token),
+      }),
+      vscode.workspace.onDidOpenTextDocument((document) => {
+        this.lintConfig(document.uri);
+        this.requestValidateConfig(document);
+      }),
+      vscode.workspace.onDidChangeTextDocument((event) => {
+        this.requestValidateConfig(event.document);
+        // the rename edits are applied to the documents, the state is migrated
+        // without waiting for the save
+        this.checkPendingEnvRename(event.document);
+      }),
+      vscode.workspace.onDidCloseTextDocument((document) =>
+        this.schemaDiagnosticCollection.delete(document.uri),
+      ),
+      vscode.workspace.onDidSaveTextDocument((document) => {
+        this.resetEnvConfigCache(document.uri);
+        this.lintConfig(document.uri);
+      }),
+      vscode.workspace.registerTextDocumentContentProvider(
+        ProjectConfigLanguageProvider.EFFECTIVE_CONFIG_SCHEME,
+        {
+          onDidChange: this._onDidChangeEffectiveConfig.event,
+          provideTextDocumentContent: async (uri) =>
+            await this.provideEffectiveConfigContent(uri),
+        },
       ),
     ];
     // if (vscode.languages.registerInlineCompletionItemProvider) {
@@ -55,8 +207,16 @@ export class ProjectConfigLanguageProvider {
     //   );
     // }
     this._optionsCache = new Map();
+    this._envConfigCache = new Map();
+    this._boardsCache = new Map();
+    this._validateTimeouts = new Map();
+    this._pendingEnvRename = undefined;
     this._ports = undefined;
 
+    vscode.workspace.textDocuments.forEach((document) =>
+      this.requestValidateConfig(document),
+    );
+
     // vscode.window.visibleTextEditors.forEach((editor) =>
     //   this.lintConfig(editor.document)
     // );
@@ -65,7 +225,12 @@ export class ProjectConfigLanguageProvider {
   dispose() {
     disposeSubscriptions(this.subscriptions);
     this._optionsCache.clear();
+    this._envConfigCache.clear();
+    this._boardsCache.clear();
+    this._validateTimeouts.forEach((timeout) => clearTimeout(timeout));
+    this._validateTimeouts.clear();
     this.diagnosticCollection.clear();
+    this.schemaDiagnosticCollection.clear();
   }
 
   /**
@@ -174,9 +339,28 @@ ${option.description}
       (option) => option.name === word,
     );
     if (option) {
-      return new vscode.Hover(this.renderOptionDocs(option));
+      const docs = this.renderOptionDocs(option);
+      await this.appendEffectiveValueDocs(docs, document, position, option.name);
+      return new vscode.Hover(docs);
     }
-    return this.providePackageHover(document, position);
+    return (
+      (await this.provideBoardHover(document, position)) ||
+      (await this.providePackageHover(document, position)) ||
+      (await this.provideInterpolationHover(document, position))
+    );
+  }
+
+  async provideInterpolationHover(document, position) {
+    const configDocument = new ConfigDocument(document.uri, document.getText());
+    const option = configDocument.getOptionAt(position);
+    if (!option || !option.value.includes('${')) {
+      return undefined;
+    }
+    const docs = new vscode.MarkdownString();
+    if (await this.appendEffectiveValueDocs(docs, document, position, option.name)) {
+      return new vscode.Hover(docs);
+    }
+    return undefined;
   }
 
   async providePackageHover(document, position) {
@@ -190,15 +374,24 @@ ${option.description}
     if (!rawValue) {
       return;
     }
-    const pkgRegExp = /^(([a-z\d_\-]+)\/)?([a-z\d\_\- ]+)/i;
-    const matches = pkgRegExp.exec(rawValue.trim());
-    if (!matches) {
+    const option = await this.getOptionAt(document, position);
+    if (!option || !['platform', 'lib_deps'].includes(option.name)) {
       return;
     }
 
-    const option = await this.getOptionAt(document, position);
-    if (!['platform', 'lib_deps'].includes(option.name)) {
-      return;
+    const docs = new vscode.MarkdownString();
+    const pkg = findInstalledPackage(
+      await this.listInstalledPackages(document, position, option.name),
+      rawValue,
+    );
+    if (pkg) {
+      docs.appendMarkdown(this.renderPackageDocs(pkg).value);
+    }
+
+    const pkgRegExp = /^(([a-z\d_\-]+)\/)?([a-z\d\_\- ]+)/i;
+    const matches = rawValue.includes('://') ? null : pkgRegExp.exec(rawValue.trim());
+    if (!matches) {
+      return pkg ? new vscode.Hover(docs) : undefined;
     }
 
     const pkgOwner = matches[2];
@@ -214,11 +407,51 @@ ${option.description}
       pkgUrlParts.push(`search?${qs.toString()}`);
     }
 
-    return new vscode.Hover(
-      new vscode.MarkdownString(
-        `[Open in PlatformIO Registry](${pkgUrlParts.join('/')})`,
-      ),
+    docs.appendMarkdown(`\n\n[Open in PlatformIO Registry](${pkgUrlParts.join('/')})`);
+    return new vscode.Hover(docs);
+  }
+
+  async listInstalledPackages(document, position, optionName) {
+    if (optionName === 'platform') {
+      return await listInstalledPlatforms();
+    }
+    const projectDir = this.getConfigProjectDir(document.uri);
+    const section = new ConfigDocument(document.uri, document.getText()).getSectionAt(
+      position,
     );
+    return [
+      ...(projectDir
+        ? await listProjectLibraries(projectDir, section ? section.envName : undefined)
+        : []),
+      ...(await listGlobalLibraries()),
+    ];
+  }
+
+  getPackageSpec(pkg) {
+    return pkg.owner ? `${pkg.owner}/${pkg.name}` : pkg.name;
+  }
+
+  renderPackageDocs(pkg) {
+    const attrs = [
+      ['Name', pkg.name],
+      ['Owner', pkg.owner],
+      ['Version', pkg.version],
+      ['Source', pkg.uri],
+      ['Storage', pkg.source],
+      ['Path', pkg.path],
+    ];
+    const docs = new vscode.MarkdownString();
+    docs.appendCodeblock(
+      attrs
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name} = ${value}`)
+        .join('\n'),
+      'ini',
+    );
+    if (pkg.description) {
+      docs.appendMarkdown(`\n${pkg.description}\n`);
+    }
+    return docs;
   }
 
   async provideCompletionItems(document, position, token, context, isInline = false) {
@@ -266,6 +499,13 @@ ${option.description}
       case 'monitor_speed':
       case 'test_speed':
         return await this.provideCompletionBaudrates(option);
+
+      case 'board':
+        return await this.provideCompletionBoards(document);
+
+      case 'platform':
+      case 'lib_deps':
+        return await this.provideCompletionPackages(document, position, option.name);
     }
     return this.provideTypedCompletionValues(option);
   }
@@ -298,6 +538,46 @@ ${option.description}
     });
   }
 
+  async provideCompletionBoards(document) {
+    const boards = await this.getBoards(document);
+    return boards.map((board) => {
+      const item = new vscode.CompletionItem(board.id, vscode.CompletionItemKind.Value);
+      item.detail = board.name;
+      item.filterText = `${board.id} ${board.name}`;
+      item.documentation = this.renderBoardDocs(board);
+      return item;
+    });
+  }
+
+  async provideCompletionPackages(document, position, optionName) {
+    const packages = await this.listInstalledPackages(document, position, optionName);
+    const seen = new Set();
+    const items = [];
+    for (const pkg of packages) {
+      const spec = this.getPackageSpec(pkg);
+      const key = `${pkg.uri || spec}@${pkg.version}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      const item = new vscode.CompletionItem(spec, vscode.CompletionItemKind.Module);
+      if (pkg.uri) {
+        item.insertText = pkg.uri;
+      } else if (pkg.version) {
+        item.insertText = `${spec} @ ${
+          /^\d+\.\d+\.\d+$/.test(pkg.version) ? '^' : ''
+        }${pkg.version}`;
+      }
+      item.detail = [pkg.version, pkg.uri ? pkg.uri : undefined, pkg.source]
+        .filter((value) => value)
+        .join(' | ');
+      item.documentation = this.renderPackageDocs(pkg);
+      items.push(item);
+    }
+    items.push(this.createCustomCompletionValueItem());
+    return items;
+  }
+
   createCustomCompletionValueItem() {
     const item = new vscode.CompletionItem('Custom', vscode.CompletionItemKind.Value);
     item.insertText = '';
@@ -340,9 +620,1052 @@ ${option.description}
     return items;
   }
 
+  /**
+   * Boards
+   */
+  async getBoards(document) {
+    const configPath = document.uri.fsPath;
+    if (this._boardsCache.has(configPath)) {
+      return this._boardsCache.get(configPath);
+    }
+    const script = `
+import json
+from platformio.package.manager.platform import PlatformPackageManager
+
+print(json.dumps(PlatformPackageManager().get_installed_boards()))
+  `;
+    let output = undefined;
+    try {
+      output = await pioNodeHelpers.core.getCorePythonCommandOutput(['-c', script], {
+        projectDir: path.dirname(configPath),
+      });
+    } catch (err) {
+      console.warn(err);
+      return [];
+    }
+    this._boardsCache.set(configPath, JSON.parse(output));
+    return this._boardsCache.get(configPath);
+  }
+
+  formatBoardMemory(bytes) {
+    if (bytes >= 1024 * 1024 && bytes % (1024 * 1024) === 0) {
+      return `${bytes / (1024 * 1024)}MB`;
+    } else if (bytes >= 1024) {
+      return `${Math.round((bytes / 1024) * 10) / 10}KB`;
+    }
+    return `${bytes}B`;
+  }
+
+  renderBoardDocs(board) {
+    const attrs = [
+      ['ID', board.id],
+      ['Name', board.name],
+      ['Platform', board.platform],
+      ['MCU', board.mcu],
+    ];
+    if (board.fcpu) {
+      attrs.push(['Frequency', `${Math.round(board.fcpu / 1000000)}MHz`]);
+    }
+    if (board.rom) {
+      attrs.push(['Flash', this.formatBoardMemory(board.rom)]);
+    }
+    if (board.ram) {
+      attrs.push(['RAM', this.formatBoardMemory(board.ram)]);
+    }
+    if (board.frameworks && board.frameworks.length) {
+      attrs.push(['Frameworks', board.frameworks.join(', ')]);
+    }
+    const docs = new vscode.MarkdownString();
+    docs.appendCodeblock(
+      attrs
+        .filter(([, value]) => value !== undefined)
+        .map(([name, value]) => `${name} = ${value}`)
+        .join('\n'),
+      'ini',
+    );
+    if (board.url) {
+      docs.appendMarkdown(`\n[More details](${board.url})`);
+    }
+    return docs;
+  }
+
+  async provideBoardHover(document, position) {
+    const configOption = new ConfigDocument(
+      document.uri,
+      document.getText(),
+    ).getOptionAt(position);
+    if (
+      !configOption ||
+      configOption.name !== 'board' ||
+      !configOption.valueRange.contains(position)
+    ) {
+      return undefined;
+    }
+    const board = (await this.getBoards(document)).find(
+      (item) => item.id === configOption.value,
+    );
+    return board
+      ? new vscode.Hover(this.renderBoardDocs(board), configOption.valueRange)
+      : undefined;
+  }
+
+  /**
+   * Navigation
+   */
+  getConfigProjectDir(uri) {
+    if (path.basename(uri.fsPath) === 'platformio.ini') {
+      return path.dirname(uri.fsPath);
+    }
+    // an extra configuration file from the "extra_configs" option
+    return getPIOProjectDirs()
+      .filter((projectDir) => uri.fsPath.startsWith(projectDir + path.sep))
+      .sort((a, b) => b.length - a.length)[0];
+  }
+
+  async loadConfigDocuments(document) {
+    const projectDir = this.getConfigProjectDir(document.uri);
+    if (!projectDir) {
+      return [];
+    }
+    const documents = await loadProjectConfigDocuments(projectDir);
+    return documents.some((item) => item.uri.fsPath === document.uri.fsPath)
+      ? documents
+      : [];
+  }
+
+  /**
+   * Returns a section or an option which is referenced at the position
+   */
+  getConfigSymbolAt(configDocument, position) {
+    const interpolation = configDocument.getInterpolationAt(position);
+    if (interpolation) {
+      if (interpolation.isSysEnv) {
+        return undefined;
+      }
+      if (interpolation.sectionRange && interpolation.sectionRange.contains(position)) {
+        return { section: interpolation.section };
+      }
+      return { section: interpolation.section, option: interpolation.option };
+    }
+    const section = configDocument.getSectionAt(position);
+    if (!section) {
+      return undefined;
+    }
+    if (section.nameRange.contains(position)) {
+      return { section: section.name };
+    }
+    const option = configDocument.getOptionAt(position);
+    if (!option) {
+      return undefined;
+    }
+    if (option.nameRange.contains(position)) {
+      return { section: section.name, option: option.name };
+    }
+    const valueItem = option
+      .getValueItems()
+      .find((item) => item.range.contains(position));
+    if (valueItem && option.name === 'extends') {
+      return { section: valueItem.text };
+    } else if (valueItem && option.name === 'default_envs') {
+      return { section: `env:${valueItem.text}` };
+    }
+    return undefined;
+  }
+
+  getConfigSymbolDeclarations(configDocuments, symbol) {
+    if (symbol.option) {
+      return findOptionDeclarations(configDocuments, symbol.section, symbol.option).map(
+        (option) => new vscode.Location(option.section.document.uri, option.nameRange),
+      );
+    }
+    return findSections(configDocuments, symbol.section).map(
+      (section) => new vscode.Location(section.document.uri, section.nameRange),
+    );
+  }
+
+  getConfigSymbolReferences(configDocuments, symbol) {
+    const result = [];
+    const declarations = symbol.option
+      ? findOptionDeclarations(configDocuments, symbol.section, symbol.option)
+      : [];
+    for (const configDocument of configDocuments) {
+      for (const item of configDocument.getInterpolations()) {
+        if (item.isSysEnv) {
+          continue;
+        }
+        if (!symbol.option && item.sectionRange && item.section === symbol.section) {
+          result.push(new vscode.Location(configDocument.uri, item.sectionRange));
+        } else if (
+          symbol.option &&
+          item.option === symbol.option &&
+          findOptionDeclarations(configDocuments, item.section, item.option).some(
+            (option) => declarations.includes(option),
+          )
+        ) {
+          result.push(new vscode.Location(configDocument.uri, item.optionRange));
+        }
+      }
+      if (symbol.option) {
+        continue;
+      }
+      for (const section of configDocument.sections) {
+        for (const option of section.options) {
+          const isExtends = option.name === 'extends';
+          const isDefaultEnvs =
+            option.name === 'default_envs' && section.name === 'platformio';
+          if (!isExtends && !isDefaultEnvs) {
+            continue;
+          }
+          option
+            .getValueItems()
+            .filter(
+              (item) =>
+                (isExtends && item.text === symbol.section) ||
+                (isDefaultEnvs && `env:${item.text}` === symbol.section),
+            )
+            .forEach((item) =>
+              result.push(new vscode.Location(configDocument.uri, item.range)),
+            );
+        }
+      }
+    }
+    return result;
+  }
+
+  async provideDefinition(document, position) {
+    const configDocuments = await this.loadConfigDocuments(document);
+    const configDocument = configDocuments.find(
+      (item) => item.uri.fsPath === document.uri.fsPath,
+    );
+    const symbol = configDocument
+      ? this.getConfigSymbolAt(configDocument, position)
+      : undefined;
+    if (!symbol) {
+      return undefined;
+    }
+    return this.getConfigSymbolDeclarations(configDocuments, symbol);
+  }
+
+  async provideReferences(document, position, context) {
+    const configDocuments = await this.loadConfigDocuments(document);
+    const configDocument = configDocuments.find(
+      (item) => item.uri.fsPath === document.uri.fsPath,
+    );
+    const symbol = configDocument
+      ? this.getConfigSymbolAt(configDocument, position)
+      : undefined;
+    if (!symbol) {
+      return undefined;
+    }
+    const result = this.getConfigSymbolReferences(configDocuments, symbol);
+    if (context.includeDeclaration) {
+      result.unshift(...this.getConfigSymbolDeclarations(configDocuments, symbol));
+    }
+    return result;
+  }
+
+  /**
+   * Rename
+   */
+  async getRenameTarget(document, position) {
+    const configDocuments = await this.loadConfigDocuments(document);
+    const configDocument = configDocuments.find(
+      (item) => item.uri.fsPath === document.uri.fsPath,
+    );
+    const symbol = configDocument
+      ? this.getConfigSymbolAt(configDocument, position)
+      : undefined;
+    if (
+      !symbol ||
+      symbol.option ||
+      ['platformio', 'env', 'sysenv'].includes(symbol.section)
+    ) {
+      throw new Error('Only environments and custom sections can be renamed');
+    }
+    const isEnv = symbol.section.startsWith('env:');
+    const oldName = isEnv ? symbol.section.substring(4) : symbol.section;
+    return { configDocuments, configDocument, section: symbol.section, isEnv, oldName };
+  }
+
+  /**
+   * The editable part of the section name, environments are renamed
+   * without the "env:" prefix
+   */
+  getRenameRange(configDocument, position, oldName) {
+    const line = configDocument.lines[position.line];
+    for (
+      let start = line.indexOf(oldName);
+      start >= 0;
+      start = line.indexOf(oldName, start + 1)
+    ) {
+      const range = new vscode.Range(
+        position.line,
+        start,
+        position.line,
+        start + oldName.length,
+      );
+      if (range.contains(position)) {
+        return range;
+      }
+    }
+    return undefined;
+  }
+
+  async prepareRename(document, position) {
+    const target = await this.getRenameTarget(document, position);
+    const range = this.getRenameRange(target.configDocument, position, target.oldName);
+    if (!range) {
+      throw new Error('Please place the cursor on the name of the section');
+    }
+    return { range, placeholder: target.oldName };
+  }
+
+  async provideRenameEdits(document, position, newName) {
+    newName = newName.trim();
+    if (!newName || /[\s\[\]\.,:;#$={}]/.test(newName)) {
+      throw new Error(`"${newName}" is not a valid section name`);
+    }
+    const target = await this.getRenameTarget(document, position);
+    const newSection = target.isEnv ? `env:${newName}` : newName;
+    if (findSections(target.configDocuments, newSection).length) {
+      throw new Error(`The "[${newSection}]" section already exists`);
+    }
+    const edit = new vscode.WorkspaceEdit();
+    const locations = [
+      ...this.getConfigSymbolDeclarations(target.configDocuments, {
+        section: target.section,
+      }),
+      ...this.getConfigSymbolReferences(target.configDocuments, {
+        section: target.section,
+      }),
+    ];
+    for (const location of locations) {
+      const configDocument = target.configDocuments.find(
+        (item) => item.uri.fsPath === location.uri.fsPath,
+      );
+      const text = configDocument.lines[location.range.start.line].substring(
+        location.range.start.character,
+        location.range.end.character,
+      );
+      // "default_envs" refers to the environments without the "env:" prefix
+      edit.replace(
+        location.uri,
+        location.range,
+        text === target.section ? newSection : newName,
+      );
+    }
+    if (target.isEnv) {
+      const projectDir = this.getConfigProjectDir(document.uri);
+      (
+        await this.getTestFilterRenameEdits(
+          target.configDocuments,
+          projectDir,
+          target.oldName,
+          newName,
+        )
+      ).forEach(([uri, range, text]) => edit.replace(uri, range, text));
+      this._pendingEnvRename = {
+        projectDir,
+        oldEnv: target.oldName,
+        newEnv: newName,
+      };
+    }
+    return edit;
+  }
+
+  /**
+   * Test filters may refer to the per-environment test folders, such as
+   * "esp32dev/*", only the filters starting with an existing folder are renamed
+   */
+  async getTestFilterRenameEdits(configDocuments, projectDir, oldEnv, newEnv) {
+    const testDirOption = findOptionDeclarations(
+      configDocuments,
+      'platformio',
+      'test_dir',
+    )[0];
+    const testDir = resolveConfigPath(
+      projectDir,
+      testDirOption && testDirOption.value ? testDirOption.value : 'test',
+    );
+    try {
+      if (!(await fs.stat(path.join(testDir, oldEnv))).isDirectory()) {
+        return [];
+      }
+    } catch (err) {
+      return [];
+    }
+    const result = [];
+    for (const configDocument of configDocuments) {
+      for (const section of configDocument.sections) {
+        for (const option of section.options) {
+          if (!['test_filter', 'test_ignore'].includes(option.name)) {
+            continue;
+          }
+          for (const item of option.getValueItems()) {
+            const segments = item.text.split('/');
+            if (segments[0] === oldEnv) {
+              result.push([
+                configDocument.uri,
+                item.range,
+                [newEnv, ...segments.slice(1)].join('/'),
+              ]);
+            }
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  checkPendingEnvRename(document) {
+    const pending = this._pendingEnvRename;
+    if (
+      !pending ||
+      document.uri.scheme !== 'file' ||
+      this.getConfigProjectDir(document.uri) !== pending.projectDir
+    ) {
+      return;
+    }
+    const configDocument = new ConfigDocument(document.uri, document.getText());
+    if (
+      !configDocument.getSections(`env:${pending.newEnv}`).length ||
+      configDocument.getSections(`env:${pending.oldEnv}`).length
+    ) {
+      return;
+    }
+    this._pendingEnvRename = undefined;
+    this._onDidRenameEnv.fire(pending);
+  }
+
+  /**
+   * Symbols
+   */
+  getSectionSymbolKind(section) {
+    switch (section.kind) {
+      case SECTION_KIND_PLATFORMIO:
+        return vscode.SymbolKind.Module;
+      case SECTION_KIND_ENV:
+        return vscode.SymbolKind.Namespace;
+      case SECTION_KIND_NAMED_ENV:
+        return vscode.SymbolKind.Class;
+    }
+    return vscode.SymbolKind.Struct;
+  }
+
+  provideDocumentSymbols(document) {
+    const configDocument = new ConfigDocument(document.uri, document.getText());
+    return configDocument.sections.map((section) => {
+      const symbol = new vscode.DocumentSymbol(
+        section.name,
+        '',
+        this.getSectionSymbolKind(section),
+        section.range,
+        section.nameRange,
+      );
+      symbol.children = section.options.map(
+        (option) =>
+          new vscode.DocumentSymbol(
+            option.name,
+            option.value.split('\n')[0],
+            vscode.SymbolKind.Property,
+            option.range,
+            option.nameRange,
+          ),
+      );
+      return symbol;
+    });
+  }
+
+  async provideWorkspaceSymbols(query, token) {
+    const result = [];
+    const normalizedQuery = query.toLowerCase();
+    for (const projectDir of getPIOProjectDirs()) {
+      if (token.isCancellationRequested) {
+        return;
+      }
+      let configDocuments = [];
+      try {
+        configDocuments = await loadProjectConfigDocuments(projectDir);
+      } catch (err) {
+        console.warn(err);
+      }
+      for (const configDocument of configDocuments) {
+        configDocument.sections
+          .filter(
+            (section) =>
+              section.kind === SECTION_KIND_NAMED_ENV &&
+              section.name.toLowerCase().includes(normalizedQuery),
+          )
+          .forEach((section) =>
+            result.push(
+              new vscode.SymbolInformation(
+                section.name,
+                vscode.SymbolKind.Class,
+                path.basename(projectDir),
+                new vscode.Location(configDocument.uri, section.nameRange),
+              ),
+            ),
+          );
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Semantic highlighting
+   */
+  getSectionSemanticToken(section) {
+    switch (section.kind) {
+      case SECTION_KIND_PLATFORMIO:
+        return ['namespace', ['declaration', 'defaultLibrary']];
+      case SECTION_KIND_ENV:
+        return ['namespace', ['declaration']];
+      case SECTION_KIND_NAMED_ENV:
+        return ['class', ['declaration']];
+    }
+    return ['struct', ['declaration']];
+  }
+
+  getOptionSemanticToken(options, configOption) {
+    const section = configOption.section;
+    const name = configOption.name;
+    if (
+      section.kind === SECTION_KIND_CUSTOM ||
+      name.startsWith('custom_') ||
+      (section.kind !== SECTION_KIND_PLATFORMIO && name.startsWith('board_'))
+    ) {
+      return ['property', []];
+    }
+    const scope =
+      section.kind === SECTION_KIND_PLATFORMIO ? this.SCOPE_PLATFORMIO : this.SCOPE_ENV;
+    const scopeOptions = options.filter((option) => option.scope === scope);
+    if (scopeOptions.some((option) => option.name === name)) {
+      return ['property', []];
+    } else if (scopeOptions.some((option) => (option.oldnames || []).includes(name))) {
+      return ['property', ['deprecated']];
+    }
+    return ['property', ['unknown']];
+  }
+
+  async provideDocumentSemanticTokens(document, token) {
+    const options = await this.getOptions(document);
+    if (token.isCancellationRequested) {
+      return undefined;
+    }
+    const configDocument = new ConfigDocument(document.uri, document.getText());
+    const builder = new vscode.SemanticTokensBuilder(
+      ProjectConfigLanguageProvider.SEMANTIC_TOKENS_LEGEND,
+    );
+    for (const section of configDocument.sections) {
+      builder.push(section.nameRange, ...this.getSectionSemanticToken(section));
+      for (const configOption of section.options) {
+        builder.push(
+          configOption.nameRange,
+          ...this.getOptionSemanticToken(options, configOption),
+        );
+      }
+    }
+    for (const interpolation of configDocument.getInterpolations()) {
+      builder.push(interpolation.range, 'variable', ['readonly']);
+    }
+    return builder.build();
+  }
+
+  /**
+   * Effective configuration
+   */
+  async getEnvConfig(projectDir, env) {
+    const cacheKey = `${projectDir}:${env}`;
+    if (this._envConfigCache.has(cacheKey)) {
+      return this._envConfigCache.get(cacheKey);
+    }
+    this._envConfigCache.set(cacheKey, await getCoreEnvConfig(projectDir, env));
+    return this._envConfigCache.get(cacheKey);
+  }
+
+  resetEnvConfigCache(uri) {
+    if (uri.scheme !== 'file' || path.extname(uri.fsPath) !== '.ini') {
+      return;
+    }
+    this._envConfigCache.clear();
+    vscode.workspace.textDocuments
+      .filter(
+        (document) =>
+          document.uri.scheme === ProjectConfigLanguageProvider.EFFECTIVE_CONFIG_SCHEME,
+      )
+      .forEach((document) => this._onDidChangeEffectiveConfig.fire(document.uri));
+  }
+
+  formatConfigValue(value) {
+    if (typeof value === 'boolean') {
+      return value ? 'yes' : 'no';
+    } else if (Array.isArray(value)) {
+      return value.length ? ['', ...value].join('\n  ') : '';
+    } else if (value === null || value === undefined) {
+      return '';
+    }
+    return value.toString();
+  }
+
+  async appendEffectiveValueDocs(docs, document, position, optionName) {
+    const projectDir = this.getConfigProjectDir(document.uri);
+    const section = new ConfigDocument(document.uri, document.getText()).getSectionAt(
+      position,
+    );
+    if (!projectDir || !section || !section.envName) {
+      return false;
+    }
+    let envConfig = undefined;
+    try {
+      envConfig = await this.getEnvConfig(projectDir, section.envName);
+    } catch (err) {
+      console.warn(err);
+      return false;
+    }
+    if (!(optionName in envConfig)) {
+      return false;
+    }
+    docs.appendMarkdown(`\n\nEffective value for \`${section.name}\`:\n`);
+    docs.appendCodeblock(
+      `${optionName} = ${this.formatConfigValue(envConfig[optionName])}`,
+      'ini',
+    );
+    return true;
+  }
+
+  async showEffectiveConfig(projectDir, env = undefined) {
+    const editor = vscode.window.activeTextEditor;
+    if (
+      !env &&
+      editor &&
+      editor.document.uri.scheme === 'file' &&
+      editor.document.languageId === 'ini'
+    ) {
+      const section = new ConfigDocument(
+        editor.document.uri,
+        editor.document.getText(),
+      ).getSectionAt(editor.selection.active);
+      if (section && section.envName) {
+        projectDir = this.getConfigProjectDir(editor.document.uri) || projectDir;
+        env = section.envName;
+      }
+    }
+    if (!projectDir) {
+      return;
+    }
+    if (!env) {
+      const envs = [];
+      (await loadProjectConfigDocuments(projectDir)).forEach((configDocument) =>
+        configDocument.sections
+          .filter((section) => section.envName && !envs.includes(section.envName))
+          .forEach((section) => envs.push(section.envName)),
+      );
+      env = await vscode.window.showQuickPick(envs, {
+        title: 'Show effective configuration of the project environment',
+      });
+    }
+    if (!env) {
+      return;
+    }
+    const uri = vscode.Uri.from({
+      scheme: ProjectConfigLanguageProvider.EFFECTIVE_CONFIG_SCHEME,
+      path: `/${path.basename(projectDir)}/env-${env}.ini`,
+      query: new URLSearchParams({ projectDir, env }).toString(),
+    });
+    const document = await vscode.workspace.openTextDocument(uri);
+    await vscode.window.showTextDocument(document, { preview: true });
+  }
+
+  async provideEffectiveConfigContent(uri) {
+    const params = new URLSearchParams(uri.query);
+    const projectDir = params.get('projectDir');
+    const env = params.get('env');
+    const lines = [
+      `; Effective configuration of the "env:${env}" environment (read-only)`,
+      `; Project: ${projectDir}`,
+      '',
+      `[env:${env}]`,
+    ];
+    try {
+      const envConfig = await this.getEnvConfig(projectDir, env);
+      Object.entries(envConfig).forEach(([name, value]) =>
+        lines.push(`${name} = ${this.formatConfigValue(value)}`.trimEnd()),
+      );
+    } catch (err) {
+      lines.push(
+        ...err
+          .toString()
+          .split('\n')
+          .map((line) => `; ${line}`),
+      );
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Quick fixes
+   */
+  async provideCodeActions(document, range, context) {
+    const configDocuments = await this.loadConfigDocuments(document);
+    const configDocument = configDocuments.find(
+      (item) => item.uri.fsPath === document.uri.fsPath,
+    );
+    if (!configDocument) {
+      return undefined;
+    }
+    let options = undefined;
+    try {
+      options = await this.getOptions(document);
+    } catch (err) {
+      console.warn(err);
+      return [];
+    }
+    const result = [];
+    for (const diagnostic of context.diagnostics) {
+      const option = configDocument.getOptionAt(diagnostic.range.start);
+      if (!option || !option.nameRange.contains(diagnostic.range)) {
+        continue;
+      }
+      switch (diagnostic.code) {
+        case ProjectConfigLanguageProvider.DIAGNOSTIC_DEPRECATED_OPTION: {
+          const newName = this.getRenamedOptionName(options, option.name, diagnostic);
+          if (newName) {
+            result.push(
+              this.createReplaceOptionNameAction(
+                `Rename to "${newName}"`,
+                document.uri,
+                option,
+                newName,
+                diagnostic,
+                true,
+              ),
+            );
+          }
+          break;
+        }
+
+        case ProjectConfigLanguageProvider.DIAGNOSTIC_WRONG_SCOPE_OPTION:
+          result.push(this.createRemoveOptionAction(document.uri, option, diagnostic));
+          break;
+
+        case ProjectConfigLanguageProvider.DIAGNOSTIC_UNKNOWN_OPTION:
+          this.findSimilarOptionNames(options, option).forEach((name, index) =>
+            result.push(
+              this.createReplaceOptionNameAction(
+                `Change to "${name}"`,
+                document.uri,
+                option,
+                name,
+                diagnostic,
+                index === 0,
+              ),
+            ),
+          );
+          result.push(this.createRemoveOptionAction(document.uri, option, diagnostic));
+          break;
+      }
+    }
+    result.push(
+      ...this.provideMissingEnvCodeActions(configDocuments, configDocument, range),
+    );
+    return result;
+  }
+
+  getRenamedOptionName(options, name, diagnostic) {
+    const option = options.find((item) => (item.oldnames || []).includes(name));
+    if (option) {
+      return option.name;
+    }
+    // fallback to the name from a message, such as "Please use `new_name` instead"
+    const candidates = this.extractLintMessageNames(diagnostic.message).options.filter(
+      (item) => item !== name && options.some((option) => option.name === item),
+    );
+    return candidates[0];
+  }
+
+  findSimilarOptionNames(options, configOption, maxItems = 3) {
+    const scope =
+      configOption.section.kind === SECTION_KIND_PLATFORMIO
+        ? this.SCOPE_PLATFORMIO
+        : this.SCOPE_ENV;
+    const maxDistance = Math.max(2, Math.floor(configOption.name.length / 3));
+    return options
+      .filter((option) => option.scope === scope)
+      .map((option) => [
+        option.name,
+        levenshteinDistance(configOption.name, option.name),
+      ])
+      .filter(([, distance]) => distance <= maxDistance)
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, maxItems)
+      .map(([name]) => name);
+  }
+
+  createReplaceOptionNameAction(title, uri, option, newName, diagnostic, isPreferred) {
+    const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+    action.edit = new vscode.WorkspaceEdit();
+    action.edit.replace(uri, option.nameRange, newName);
+    action.diagnostics = [diagnostic];
+    action.isPreferred = isPreferred;
+    return action;
+  }
+
+  createRemoveOptionAction(uri, option, diagnostic) {
+    const action = new vscode.CodeAction(
+      `Remove "${option.name}" option`,
+      vscode.CodeActionKind.QuickFix,
+    );
+    action.edit = new vscode.WorkspaceEdit();
+    action.edit.delete(
+      uri,
+      new vscode.Range(option.line, 0, option.range.end.line + 1, 0),
+    );
+    action.diagnostics = [diagnostic];
+    return action;
+  }
+
+  provideMissingEnvCodeActions(configDocuments, configDocument, range) {
+    const option = configDocument.getOptionAt(range.start);
+    if (
+      !option ||
+      option.name !== 'default_envs' ||
+      option.section.kind !== SECTION_KIND_PLATFORMIO
+    ) {
+      return [];
+    }
+    const mainDocument = configDocuments[0];
+    const lastLine = mainDocument.lines.length - 1;
+    return option
+      .getValueItems()
+      .filter(
+        (item) =>
+          item.range.intersection(range) &&
+          !findSections(configDocuments, `env:${item.text}`).length,
+      )
+      .map((item) => {
+        const action = new vscode.CodeAction(
+          `Add missing "[env:${item.text}]" section`,
+          vscode.CodeActionKind.QuickFix,
+        );
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.insert(
+          mainDocument.uri,
+          new vscode.Position(lastLine, mainDocument.lines[lastLine].length),
+          `${mainDocument.lines[lastLine] ? '\n' : ''}\n[env:${item.text}]\n`,
+        );
+        return action;
+      });
+  }
+
+  /**
+   * Schema validation
+   */
+  requestValidateConfig(document) {
+    if (
+      document.uri.scheme !== 'file' ||
+      document.languageId !== 'ini' ||
+      !this.getConfigProjectDir(document.uri)
+    ) {
+      return;
+    }
+    const key = document.uri.toString();
+    if (this._validateTimeouts.has(key)) {
+      clearTimeout(this._validateTimeouts.get(key));
+    }
+    this._validateTimeouts.set(
+      key,
+      setTimeout(async () => {
+        this._validateTimeouts.delete(key);
+        try {
+          await this.validateConfig(document);
+        } catch (err) {
+          console.warn(err);
+        }
+      }, ProjectConfigLanguageProvider.VALIDATE_DELAY),
+    );
+  }
+
+  async validateConfig(document) {
+    // only "platformio.ini" and the files included via "extra_configs"
+    if (!(await this.loadConfigDocuments(document)).length) {
+      this.schemaDiagnosticCollection.delete(document.uri);
+      return;
+    }
+    const options = await this.getOptions(document);
+    if (document.isClosed) {
+      return;
+    }
+    const configDocument = new ConfigDocument(document.uri, document.getText());
+    const diagnostics = [];
+    for (const section of configDocument.sections) {
+      let scope = this.SCOPE_ENV;
+      if (section.kind === SECTION_KIND_PLATFORMIO) {
+        scope = this.SCOPE_PLATFORMIO;
+      } else if (section.kind === SECTION_KIND_CUSTOM) {
+        continue;
+      }
+      for (const configOption of section.options) {
+        const candidates = options.filter((item) => item.name === configOption.name);
+        const option = candidates.find((item) => item.scope === scope);
+        if (!option && candidates.length) {
+          diagnostics.push(
+            this.createSchemaDiagnostic(
+              configOption.nameRange,
+              `Option "${configOption.name}" is not allowed in the [${section.name}] ` +
+                `section, it belongs to the [${candidates[0].scope}] scope`,
+              ProjectConfigLanguageProvider.DIAGNOSTIC_WRONG_SCOPE_OPTION,
+            ),
+          );
+        }
+        if (option && !configOption.value.includes('${')) {
+          diagnostics.push(...this.validateOptionValue(option, configOption));
+        }
+      }
+    }
+    this.schemaDiagnosticCollection.set(document.uri, diagnostics);
+  }
+
+  validateOptionValue(option, configOption) {
+    const items = option.multiple
+      ? configOption.getValueItems()
+      : [{ text: configOption.value, range: configOption.valueRange }];
+    const result = [];
+    for (const item of items) {
+      const error = this.getOptionValueError(option, item.text);
+      if (error) {
+        result.push(
+          this.createSchemaDiagnostic(
+            item.range,
+            error,
+            ProjectConfigLanguageProvider.DIAGNOSTIC_INVALID_VALUE,
+          ),
+        );
+      }
+    }
+    return result;
+  }
+
+  getOptionValueError(option, value) {
+    if (!value) {
+      return undefined;
+    }
+    switch (option.type) {
+      case 'boolean':
+        if (
+          !ProjectConfigLanguageProvider.BOOLEAN_VALUES.includes(value.toLowerCase())
+        ) {
+          return `"${value}" is not a valid boolean value for "${option.name}", use "yes" or "no"`;
+        }
+        break;
+
+      case 'choice':
+        if (
+          !option.choices.some((choice) => choice.toLowerCase() === value.toLowerCase())
+        ) {
+          return `"${value}" is not a valid choice for "${option.name}" (${option.choices.join(', ')})`;
+        }
+        break;
+
+      case 'integer':
+      case 'integer range': {
+        if (!/^-?\d+$/.test(value)) {
+          return `"${value}" is not a valid integer value for "${option.name}"`;
+        }
+        const number = parseInt(value);
+        if (
+          (option.min !== undefined && number < option.min) ||
+          (option.max !== undefined && number > option.max)
+        ) {
+          return `${value} is out of range for "${option.name}" (${option.min ?? ''}..${option.max ?? ''})`;
+        }
+        break;
+      }
+    }
+    return undefined;
+  }
+
+  createSchemaDiagnostic(range, message, code) {
+    const diagnostic = new vscode.Diagnostic(
+      range,
+      message,
+      vscode.DiagnosticSeverity.Warning,
+    );
+    diagnostic.source = 'PlatformIO Schema';
+    diagnostic.code = code;
+    return diagnostic;
+  }
+
   /**
    * Linting
    */
+  extractLintMessageNames(message) {
+    const result = { section: undefined, options: [] };
+    const sectionMatch = /\[([^\]\s]+)\]/.exec(message);
+    if (sectionMatch) {
+      result.section = sectionMatch[1];
+    }
+    for (const match of message.matchAll(/[`'"]([^`'"\s]+)[`'"]/g)) {
+      if (match[1] !== result.section && !result.options.includes(match[1])) {
+        result.options.push(match[1]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Find a section or an option which the Core lint message is about, such as
+   * "Ignore unknown configuration option `foo` in section [env:bar]"
+   */
+  locateLintMessage(configDocuments, message) {
+    const names = this.extractLintMessageNames(message);
+    const sections = names.section
+      ? findSections(configDocuments, names.section)
+      : configDocuments.reduce(
+          (result, configDocument) => [...result, ...configDocument.sections],
+          [],
+        );
+    for (const name of names.options) {
+      for (const section of sections) {
+        const option = section.getOption(name);
+        if (option) {
+          return new vscode.Location(section.document.uri, option.nameRange);
+        }
+      }
+    }
+    if (names.section && sections.length) {
+      return new vscode.Location(sections[0].document.uri, sections[0].nameRange);
+    }
+    return undefined;
+  }
+
+  getLintErrorRange(configDocument, line, message) {
+    const text = configDocument.lines[line] || '';
+    const names = this.extractLintMessageNames(message);
+    const position = new vscode.Position(line, 0);
+    const option = configDocument.getOptionAt(position);
+    if (option) {
+      const interpolation = configDocument
+        .getInterpolations()
+        .find(
+          (item) =>
+            item.range.start.line === line &&
+            (names.options.includes(item.option) ||
+              names.options.includes(item.section)),
+        );
+      if (interpolation) {
+        return interpolation.range;
+      }
+      if (option.line === line && names.options.includes(option.name)) {
+        return option.nameRange;
+      }
+      const part = option.valueParts.find((item) => item.line === line);
+      if (part && part.text) {
+        return new vscode.Range(line, part.start, line, part.start + part.text.length);
+      }
+    }
+    const start = text.length - text.trimStart().length;
+    return new vscode.Range(line, start, line, text.trimEnd().length);
+  }
   async lintConfig(uri) {
     // ignore non-platformio.ini docs
     if (path.basename(uri.fsPath) !== 'platformio.ini') {
@@ -362,35 +1685,52 @@ print(json.dumps(ProjectConfig.lint()))
       { projectDir },
     );
     const { errors, warnings } = JSON.parse(output);
-    this.diagnosticCollection.set(
-      uri,
-      warnings.map(
-        (msg) =>
-          new vscode.Diagnostic(
-            new vscode.Range(0, 0, 0, 0),
-            msg,
-            vscode.DiagnosticSeverity.Warning,
-          ),
-      ),
-    );
+    let configDocuments = [];
+    try {
+      configDocuments = await loadProjectConfigDocuments(projectDir);
+    } catch (err) {
+      console.warn(err);
+    }
     const uriDiagnostics = new Map();
+    const addDiagnostic = (sourceUri, diagnostic) => {
+      diagnostic.source = 'PlatformIO';
+      const diagnostics = uriDiagnostics.get(sourceUri.fsPath) || [];
+      diagnostics.push(diagnostic);
+      uriDiagnostics.set(sourceUri.fsPath, diagnostics);
+    };
+    warnings.forEach((msg) => {
+      const location = this.locateLintMessage(configDocuments, msg);
+      const diagnostic = new vscode.Diagnostic(
+        location ? location.range : new vscode.Range(0, 0, 0, 0),
+        msg,
+        vscode.DiagnosticSeverity.Warning,
+      );
+      if (/deprecated/i.test(msg)) {
+        diagnostic.code = ProjectConfigLanguageProvider.DIAGNOSTIC_DEPRECATED_OPTION;
+      } else if (/unknown/i.test(msg) && /option/i.test(msg)) {
+        diagnostic.code = ProjectConfigLanguageProvider.DIAGNOSTIC_UNKNOWN_OPTION;
+      }
+      addDiagnostic(location ? location.uri : uri, diagnostic);
+    });
     errors.forEach((data) => {
       const sourceUri = data.source
-        ? vscode.Uri.file(
-            path.isAbsolute(data.source)
-              ? data.source
-              : path.join(projectDir, data.source),
-          )
+        ? vscode.Uri.file(resolveConfigPath(projectDir, data.source))
         : uri;
-      const diagnostics = uriDiagnostics.get(sourceUri.fsPath) || [];
-      diagnostics.push(
-        new vscode.Diagnostic(
-          new vscode.Range(data?.lineno - 1 || 0, 0, data?.lineno || 0, 0),
-          data.message,
-          vscode.DiagnosticSeverity.Error,
-        ),
+      const configDocument = configDocuments.find(
+        (item) => item.uri.fsPath === sourceUri.fsPath,
+      );
+      let range = new vscode.Range(data?.lineno - 1 || 0, 0, data?.lineno || 0, 0);
+      if (configDocument && data.lineno) {
+        range = this.getLintErrorRange(configDocument, data.lineno - 1, data.message);
+      } else if (!data.lineno) {
+        const location = this.locateLintMessage(configDocuments, data.message);
+        range =
+          location && location.uri.fsPath === sourceUri.fsPath ? location.range : range;
+      }
+      addDiagnostic(
+        sourceUri,
+        new vscode.Diagnostic(range, data.message, vscode.DiagnosticSeverity.Error),
       );
-      uriDiagnostics.set(sourceUri.fsPath, diagnostics);
     });
     uriDiagnostics.forEach((diagnostics, fsPath) =>
       this.diagnosticCollection.set(vscode.Uri.file(fsPath), diagnostics),
@@ -398,3 +1738,21 @@ print(json.dumps(ProjectConfig.lint()))
     return !errors.length;
   }
 }
+
+function levenshteinDistance(a, b) {
+  let prevRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row.push(
+        Math.min(
+          row[j - 1] + 1,
+          prevRow[j] + 1,
+          prevRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        ),
+      );
+    }
+    prevRow = row;
+  }
+  return prevRow[b.length];
+}
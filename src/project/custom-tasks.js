@@ -0,0 +1,187 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import ProjectTaskRunner from './task-runner';
+import vscode from 'vscode';
+
+const CTRL_C = '\x03';
+// the invalid entries are reported once, the tasks are reloaded on each refresh
+const reportedInvalidTasks = new Set();
+
+function getProjectConfiguration(projectDir, id) {
+  return vscode.workspace
+    .getConfiguration('platformio-ide', vscode.Uri.file(projectDir))
+    .get(id);
+}
+
+function parseTaskStep(step) {
+  if (typeof step === 'string' && step) {
+    return { task: step };
+  } else if (step && typeof step.shell === 'string' && step.shell) {
+    return { shell: step.shell };
+  } else if (step && typeof step.task === 'string' && step.task) {
+    return { task: step.task };
+  }
+  throw new Error(`Invalid custom task step ${JSON.stringify(step)}`);
+}
+
+/**
+ * A user-defined sequence of the PlatformIO tasks and shell commands,
+ * implements the interface of the Core tasks used by the Project Tasks tree
+ */
+export class ProjectCustomTask {
+  static GROUP = 'Custom';
+
+  constructor({ name, env, steps, description = undefined }) {
+    this.name = name;
+    this.coreEnv = env;
+    this.steps = steps;
+    this.description = description;
+    this.group = ProjectCustomTask.GROUP;
+    this.multienv = true;
+  }
+
+  get id() {
+    return `${ProjectCustomTask.GROUP}: ${this.name} (${this.coreEnv})`;
+  }
+
+  get title() {
+    return (
+      this.description || this.steps.map((step) => step.task || step.shell).join(' → ')
+    );
+  }
+
+  isBuild() {
+    return false;
+  }
+
+  isClean() {
+    return false;
+  }
+
+  isTest() {
+    return false;
+  }
+}
+
+/**
+ * Load the "platformio-ide.customTasks" setting, the task without "env"
+ * is created for each project environment
+ */
+export function loadCustomTasks(projectDir, projectEnvs) {
+  const result = [];
+  for (const item of getProjectConfiguration(projectDir, 'customTasks') || []) {
+    try {
+      if (!item.name || !Array.isArray(item.steps) || !item.steps.length) {
+        throw new Error('"name" and "steps" are required');
+      }
+      const steps = item.steps.map((step) => parseTaskStep(step));
+      for (const env of item.env ? [item.env] : projectEnvs) {
+        result.push(
+          new ProjectCustomTask({
+            name: item.name,
+            env,
+            steps,
+            description: item.description,
+          }),
+        );
+      }
+    } catch (err) {
+      const entry = JSON.stringify(item);
+      console.warn(`Skip custom task ${entry}: ${err}`);
+      if (!reportedInvalidTasks.has(entry)) {
+        reportedInvalidTasks.add(entry);
+        vscode.window.showWarningMessage(
+          `pioarduino: Invalid "platformio-ide.customTasks" entry ${
+            item && item.name ? `"${item.name}"` : entry
+          }: ${err.message}`,
+        );
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Shell commands from the "platformio-ide.taskHooks" setting,
+ * such as { "Upload": { "pre": ["./scripts/version.sh"] } }
+ */
+export function getTaskHooks(projectDir, taskName) {
+  const hooks = (getProjectConfiguration(projectDir, 'taskHooks') || {})[taskName];
+  return {
+    preCommands: (hooks && hooks.pre) || [],
+    postCommands: (hooks && hooks.post) || [],
+  };
+}
+
+/**
+ * The terminal of the custom task, the PlatformIO tasks are executed in
+ * their own terminals and the shell commands are executed here
+ */
+export class ProjectCustomTaskRunner {
+  constructor(run) {
+    this.run = run;
+    this.cancelled = false;
+    this._shellRunner = undefined;
+    this._onDidWrite = new vscode.EventEmitter();
+    this._onDidClose = new vscode.EventEmitter();
+    this.onDidWrite = this._onDidWrite.event;
+    this.onDidClose = this._onDidClose.event;
+  }
+
+  /**
+   * Pseudoterminal
+   */
+  open() {
+    this.run(this).then(
+      (exitCode) => this._onDidClose.fire(exitCode),
+      (err) => {
+        this.write(`${err}\n`);
+        this._onDidClose.fire(-1);
+      },
+    );
+  }
+
+  close() {
+    this.cancelled = true;
+    if (this._shellRunner) {
+      this._shellRunner.close();
+    }
+  }
+
+  handleInput(data) {
+    if (data === CTRL_C) {
+      return this.close();
+    }
+    if (this._shellRunner) {
+      this._shellRunner.handleInput(data);
+    }
+  }
+
+  write(text) {
+    this._onDidWrite.fire(text.replace(/\r?\n/g, '\r\n'));
+  }
+
+  runShell(command, { cwd, env }) {
+    this._shellRunner = new ProjectTaskRunner({
+      command,
+      args: [],
+      cwd,
+      env,
+      shell: true,
+    });
+    this._shellRunner.onDidWrite((text) => this._onDidWrite.fire(text));
+    return new Promise((resolve) => {
+      this._shellRunner.onDidExit((exitCode) => {
+        this._shellRunner = undefined;
+        resolve(exitCode);
+      });
+      this._shellRunner.open();
+    });
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import * as vscode from 'vscode';
+
+const STATUS_ICONS = {
+  queued: ['circle-outline', undefined],
+  running: ['sync~spin', undefined],
+  passed: ['pass', 'testing.iconPassed'],
+  failed: ['error', 'testing.iconFailed'],
+  skipped: ['circle-slash', 'testing.iconSkipped'],
+};
+
+function formatUsage(name, usage) {
+  return `${name} ${((usage.used / usage.total) * 100).toFixed(1)}%`;
+}
+
+export default class ProjectEnvMatrixTreeProvider {
+  constructor(matrixManager) {
+    this.matrixManager = matrixManager;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(item) {
+    return item;
+  }
+
+  getChildren(element) {
+    const run = this.matrixManager.run;
+    if (element) {
+      return [];
+    }
+    if (!run) {
+      const treeItem = new vscode.TreeItem('Run a task on several environments...');
+      treeItem.iconPath = new vscode.ThemeIcon('run-all');
+      treeItem.command = {
+        title: 'Run on Environments',
+        command: 'platformio-ide.runOnEnvironments',
+      };
+      return [treeItem];
+    }
+    return [this.createSummaryItem(run), ...this.createEnvItems(run)];
+  }
+
+  createSummaryItem(run) {
+    const results = [...run.results.values()];
+    const passed = results.filter((result) => result.status === 'passed').length;
+    const failed = results.filter((result) => result.status === 'failed').length;
+    const treeItem = new vscode.TreeItem(run.task);
+    treeItem.description = `${passed} passed, ${failed} failed of ${results.length}`;
+    treeItem.tooltip = `Started at ${new Date(run.startedAt).toLocaleString()}`;
+    treeItem.iconPath = new vscode.ThemeIcon(
+      run.endedAt ? 'checklist' : 'loading~spin',
+    );
+    return treeItem;
+  }
+
+  createEnvItems(run) {
+    return [...run.results.entries()].map(([env, result]) => {
+      const treeItem = new vscode.TreeItem(`env:${env}`);
+      treeItem.env = env;
+      const [icon, color] = STATUS_ICONS[result.status];
+      treeItem.iconPath = new vscode.ThemeIcon(
+        icon,
+        color ? new vscode.ThemeColor(color) : undefined,
+      );
+      const parts = [result.status];
+      if (result.duration !== undefined) {
+        parts.push(`${(result.duration / 1000).toFixed(1)}s`);
+      }
+      if (result.size) {
+        for (const [key, name] of [
+          ['flash', 'Flash'],
+          ['ram', 'RAM'],
+        ]) {
+          if (result.size[key]) {
+            parts.push(formatUsage(name, result.size[key]));
+          }
+        }
+      }
+      treeItem.description = parts.join(' · ');
+      if (result.error) {
+        treeItem.tooltip = result.error;
+      } else if (result.exitCode !== undefined) {
+        treeItem.tooltip = `Exit code: ${result.exitCode}`;
+      }
+      if (result.output || result.error) {
+        treeItem.command = {
+          title: 'Show Output',
+          command: 'platformio-ide.showEnvMatrixOutput',
+          arguments: [treeItem],
+        };
+      }
+      return treeItem;
+    });
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { NATIVE_DEVICE_LANE, getCoreEnvConfig, getEnvDeviceLane } from './config';
+import { disposeSubscriptions, stripAnsiEscapes } from '../utils';
+import {
+  getProjectItemState,
+  registerProjectEnvState,
+  updateProjectItemState,
+} from './helpers';
+import ProjectEnvMatrixTreeProvider from './env-matrix-tree';
+import { extension } from '../main';
+import { parseSizeSummaries } from './size';
+import vscode from 'vscode';
+
+registerProjectEnvState('envMatrix', (value, oldEnv, newEnv) =>
+  value && Array.isArray(value.envs)
+    ? { ...value, envs: value.envs.map((env) => (env === oldEnv ? newEnv : env)) }
+    : value,
+);
+
+export default class ProjectEnvMatrixManager {
+  static VIEW_ID = 'platformio-ide.envMatrix';
+  static TASK_NAMES = ['Build', 'Test', 'Upload'];
+
+  constructor(projectDir, taskManager) {
+    this.projectDir = projectDir;
+    this.taskManager = taskManager;
+    this.run = undefined; // { task, startedAt, results: Map<env, result> }
+    this.treeProvider = new ProjectEnvMatrixTreeProvider(this);
+
+    this.subscriptions = [
+      vscode.window.registerTreeDataProvider(
+        ProjectEnvMatrixManager.VIEW_ID,
+        this.treeProvider,
+      ),
+      vscode.commands.registerCommand('platformio-ide.runOnEnvironments', () =>
+        this.pickAndRun(),
+      ),
+      vscode.commands.registerCommand('platformio-ide.showEnvMatrixOutput', (item) =>
+        this.showOutput(item.env),
+      ),
+    ];
+  }
+
+  dispose() {
+    disposeSubscriptions(this.subscriptions);
+  }
+
+  async pickAndRun() {
+    const savedState = getProjectItemState(this.projectDir, 'envMatrix') || {};
+    const taskItem = await vscode.window.showQuickPick(
+      ProjectEnvMatrixManager.TASK_NAMES.map((name) => ({
+        label: name,
+        description: name === savedState.task ? 'last used' : undefined,
+      })),
+      { title: 'Run on Environments: select a task' },
+    );
+    if (!taskItem) {
+      return;
+    }
+    const projectEnvs = (await this.taskManager.projectObserver.getConfig()).envs();
+    const pickedItems = await vscode.window.showQuickPick(
+      projectEnvs.map((env) => ({
+        label: env,
+        picked: (savedState.envs || projectEnvs).includes(env),
+      })),
+      {
+        title: `Run on Environments: ${taskItem.label}`,
+        canPickMany: true,
+      },
+    );
+    if (!pickedItems || !pickedItems.length) {
+      return;
+    }
+    const envs = pickedItems.map((item) => item.label);
+    updateProjectItemState(this.projectDir, 'envMatrix', {
+      task: taskItem.label,
+      envs,
+    });
+    return await this.runOnEnvs(taskItem.label, envs);
+  }
+
+  async runOnEnvs(taskName, envs) {
+    if (this.run && !this.run.endedAt) {
+      return vscode.window.showWarningMessage(
+        `pioarduino: "${this.run.task}" is already running on the environments`,
+      );
+    }
+    const concurrency = Math.max(
+      parseInt(extension.getConfiguration('multiEnvConcurrency')),
+      1,
+    );
+    this.run = {
+      task: taskName,
+      startedAt: Date.now(),
+      endedAt: undefined,
+      results: new Map(envs.map((env) => [env, { status: 'queued' }])),
+    };
+    this.treeProvider.refresh();
+    vscode.commands.executeCommand(`${ProjectEnvMatrixManager.VIEW_ID}.focus`);
+
+    await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `pioarduino: ${taskName}`,
+        cancellable: true,
+      },
+      async (progress, token) => {
+        const workers = [];
+        (await this.getEnvLanes(taskName, envs)).forEach((queue, lane) => {
+          const worker = async () => {
+            while (queue.length && !token.isCancellationRequested) {
+              const env = queue.shift();
+              progress.report({ message: `env:${env}` });
+              await this.runOnEnv(taskName, env, token);
+              progress.report({ increment: 100 / envs.length });
+            }
+          };
+          const laneConcurrency = Math.min(
+            taskName === 'Build' || lane === NATIVE_DEVICE_LANE ? concurrency : 1,
+            queue.length,
+          );
+          for (let slot = 0; slot < laneConcurrency; slot++) {
+            workers.push(worker());
+          }
+        });
+        await Promise.all(workers);
+      },
+    );
+
+    for (const result of this.run.results.values()) {
+      if (result.status === 'queued') {
+        result.status = 'skipped';
+      }
+    }
+    this.run.endedAt = Date.now();
+    this.treeProvider.refresh();
+    this.showSummary();
+  }
+
+  /**
+   * The builds run in parallel and the uploads one by one. The tests
+   * on the devices attached to the same port are executed one by one too
+   */
+  async getEnvLanes(taskName, envs) {
+    if (taskName !== 'Test') {
+      return new Map([[taskName, [...envs]]]);
+    }
+    const lanes = new Map();
+    for (const env of envs) {
+      let envConfig = {};
+      try {
+        envConfig = await getCoreEnvConfig(this.projectDir, env);
+      } catch (err) {
+        console.warn(err);
+      }
+      const lane = getEnvDeviceLane(envConfig);
+      lanes.set(lane, [...(lanes.get(lane) || []), env]);
+    }
+    return lanes;
+  }
+
+  async runOnEnv(taskName, env, token) {
+    const result = this.run.results.get(env);
+    const projectTask = await this.taskManager.getEnvTask(env, taskName);
+    if (!projectTask) {
+      Object.assign(result, {
+        status: 'failed',
+        error: `Could not find the "${taskName}" task`,
+      });
+      return this.treeProvider.refresh();
+    }
+    result.status = 'running';
+    result.startedAt = Date.now();
+    this.treeProvider.refresh();
+    try {
+      // the running tasks are terminated when the run is cancelled
+      const { exitCode, output } = await this.taskManager.runTaskAndWait(projectTask, {
+        token,
+      });
+      Object.assign(result, {
+        status:
+          exitCode === 0
+            ? 'passed'
+            : token.isCancellationRequested
+              ? 'skipped'
+              : 'failed',
+        exitCode,
+        output,
+        size: output ? parseSizeSummaries(output, env)[env] : undefined,
+      });
+    } catch (err) {
+      Object.assign(result, { status: 'failed', error: err.toString() });
+    }
+    result.duration = Date.now() - result.startedAt;
+    this.treeProvider.refresh();
+  }
+
+  showSummary() {
+    const results = [...this.run.results.values()];
+    const passed = results.filter((result) => result.status === 'passed').length;
+    const message = `pioarduino: ${this.run.task} succeeded for ${passed} of ${results.length} environment(s)`;
+    if (passed === results.length) {
+      vscode.window.showInformationMessage(message);
+    } else {
+      vscode.window.showErrorMessage(message);
+    }
+  }
+
+  async showOutput(env) {
+    const result = this.run ? this.run.results.get(env) : undefined;
+    if (!result || (!result.output && !result.error)) {
+      return vscode.window.showInformationMessage(
+        `pioarduino: There is no output for env:${env}`,
+      );
+    }
+    const document = await vscode.workspace.openTextDocument({
+      content: result.output
+        ? stripAnsiEscapes(result.output).replace(/\r\n/g, '\n')
+        : result.error,
+      language: 'log',
+    });
+    await vscode.window.showTextDocument(document, { preview: true });
+  }
+}
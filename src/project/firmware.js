@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import * as pioNodeHelpers from 'pioarduino-node-helpers';
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const ELF_MAGIC = 0x7f454c46;
+const SHT_SYMTAB = 2;
+const SHF_ALLOC = 0x2;
+const STT_OBJECT = 1;
+const STT_FUNC = 2;
+const SHN_LORESERVE = 0xff00;
+const NON_ALLOC_SECTION_RE =
+  /^\.(debug|comment|note|stab|xt\.|xtensa\.info|ARM\.attributes)/;
+
+function readCString(data, offset) {
+  const end = data.indexOf(0, offset);
+  return data.toString('utf-8', offset, end === -1 ? data.length : end);
+}
+
+/**
+ * Read the sized function and object symbols from the ELF symbol table,
+ * only the symbols located in the allocated (RAM/Flash) sections are returned
+ */
+export async function readElfSymbols(elfPath) {
+  const data = await fs.readFile(elfPath);
+  if (data.length < 52 || data.readUInt32BE(0) !== ELF_MAGIC) {
+    throw new Error(`${elfPath} is not an ELF file`);
+  }
+  const is64 = data[4] === 2;
+  const isLE = data[5] === 1;
+  const u16 = (offset) =>
+    isLE ? data.readUInt16LE(offset) : data.readUInt16BE(offset);
+  const u32 = (offset) =>
+    isLE ? data.readUInt32LE(offset) : data.readUInt32BE(offset);
+  const addr = (offset) =>
+    is64
+      ? Number(isLE ? data.readBigUInt64LE(offset) : data.readBigUInt64BE(offset))
+      : u32(offset);
+
+  const shoff = addr(is64 ? 0x28 : 0x20);
+  const shentsize = u16(is64 ? 0x3a : 0x2e);
+  const shnum = u16(is64 ? 0x3c : 0x30);
+  const shstrndx = u16(is64 ? 0x3e : 0x32);
+  const sections = [];
+  for (let i = 0; i < shnum; i++) {
+    const base = shoff + i * shentsize;
+    sections.push({
+      nameOffset: u32(base),
+      type: u32(base + 4),
+      flags: addr(base + 8),
+      offset: addr(base + (is64 ? 0x18 : 0x10)),
+      size: addr(base + (is64 ? 0x20 : 0x14)),
+      link: u32(base + (is64 ? 0x28 : 0x18)),
+      entsize: addr(base + (is64 ? 0x38 : 0x24)),
+    });
+  }
+  const shstrtab = sections[shstrndx];
+  sections.forEach((section) => {
+    section.name = shstrtab
+      ? readCString(data, shstrtab.offset + section.nameOffset)
+      : '';
+  });
+
+  const result = [];
+  for (const symtab of sections.filter((section) => section.type === SHT_SYMTAB)) {
+    const strtab = sections[symtab.link];
+    const count = symtab.entsize ? Math.floor(symtab.size / symtab.entsize) : 0;
+    for (let i = 0; i < count; i++) {
+      const base = symtab.offset + i * symtab.entsize;
+      const info = data[base + (is64 ? 4 : 12)];
+      const shndx = u16(base + (is64 ? 6 : 14));
+      const value = addr(base + (is64 ? 8 : 4));
+      const size = addr(base + (is64 ? 16 : 8));
+      const type = info & 0xf;
+      const section = shndx < SHN_LORESERVE ? sections[shndx] : undefined;
+      if (
+        !size ||
+        ![STT_OBJECT, STT_FUNC].includes(type) ||
+        !section ||
+        !(section.flags & SHF_ALLOC)
+      ) {
+        continue;
+      }
+      result.push({
+        name: readCString(data, strtab.offset + u32(base)),
+        address: value,
+        size,
+        type: type === STT_FUNC ? 'function' : 'object',
+        section: section.name,
+      });
+    }
+  }
+  return result.sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Sum the size of the input sections per object file from the GNU ld map
+ * file (the "Linker script and memory map" part)
+ */
+export async function readMapFileObjects(mapPath) {
+  const text = await fs.readFile(mapPath, { encoding: 'utf-8' });
+  const start = text.indexOf('Linker script and memory map');
+  const sizes = new Map();
+  let wrappedSection = undefined;
+  for (const line of text.substring(Math.max(start, 0)).split(/\r?\n/)) {
+    // the long section names are printed on the separate line
+    const sectionMatch = /^\s(\.\S+)$/.exec(line);
+    if (sectionMatch) {
+      wrappedSection = sectionMatch[1];
+      continue;
+    }
+    const matches =
+      /^\s(\.\S+|COMMON)?\s+0x([0-9a-f]+)\s+0x([0-9a-f]+)\s+(\S.*\.o(?:bj)?\)?)$/i.exec(
+        line,
+      );
+    const section = matches ? matches[1] || wrappedSection : undefined;
+    wrappedSection = undefined;
+    if (!section || NON_ALLOC_SECTION_RE.test(section) || !parseInt(matches[2], 16)) {
+      continue;
+    }
+    const file = matches[4].trim();
+    sizes.set(file, (sizes.get(file) || 0) + parseInt(matches[3], 16));
+  }
+  return [...sizes.entries()]
+    .map(([file, size]) => ({ file, size }))
+    .filter((item) => item.size > 0)
+    .sort((a, b) => b.size - a.size);
+}
+
+async function findNewestFile(dir, extension) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir);
+  } catch (err) {
+    return undefined;
+  }
+  let result = undefined;
+  for (const name of entries.filter((item) => item.endsWith(extension))) {
+    const filePath = path.join(dir, name);
+    const stat = await fs.stat(filePath);
+    if (!result || stat.mtimeMs > result.mtimeMs) {
+      result = { path: filePath, mtimeMs: stat.mtimeMs };
+    }
+  }
+  return result ? result.path : undefined;
+}
+
+/**
+ * The program path from the build metadata, it respects a custom "build_dir",
+ * "PLATFORMIO_BUILD_DIR" and the program name
+ */
+export async function getEnvProgramPath(projectDir, env) {
+  const output = await pioNodeHelpers.core.getPIOCommandOutput(
+    ['project', 'metadata', '--environment', env, '--json-output'],
+    { projectDir },
+  );
+  const data = JSON.parse(output.substring(output.indexOf('{')));
+  if (!data[env] || !data[env].prog_path) {
+    throw new Error(`Could not find the program of env:${env}`);
+  }
+  return data[env].prog_path;
+}
+
+/**
+ * Locate the ELF and the linker map files of the last build
+ */
+export async function findFirmwareFiles(projectDir, env) {
+  let elfPath = undefined;
+  try {
+    elfPath = await getEnvProgramPath(projectDir, env);
+    await fs.access(elfPath);
+  } catch (err) {
+    console.warn(err);
+    return { elfPath: undefined, mapPath: undefined };
+  }
+  // the host program of the "native" dev-platform has no size report
+  if (!elfPath.endsWith('.elf')) {
+    return { elfPath: undefined, mapPath: undefined };
+  }
+  let mapPath = elfPath.replace(/\.elf$/, '.map');
+  try {
+    await fs.access(mapPath);
+  } catch (err) {
+    mapPath = await findNewestFile(path.dirname(elfPath), '.map');
+  }
+  return { elfPath, mapPath };
+}
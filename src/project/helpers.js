@@ -69,6 +69,47 @@ export function updateProjectItemState(projectDir, key, value) {
   extension.context.globalState.update('lastProjectDir', projectDir);
 }
 
+// the project state items that refer to the environment names, the features
+// register their own items via `registerProjectEnvState`
+const PROJECT_ENV_STATE_RENAMERS = new Map();
+
+function renameEnvKeyedState(value, oldEnv, newEnv) {
+  if (!value || !(oldEnv in value)) {
+    return value;
+  }
+  const result = { ...value, [newEnv]: value[oldEnv] };
+  delete result[oldEnv];
+  return result;
+}
+
+/**
+ * Register a project state item to migrate when the environment is renamed,
+ * the item is an object keyed by the environment name by default
+ */
+export function registerProjectEnvState(key, renamer = renameEnvKeyedState) {
+  PROJECT_ENV_STATE_RENAMERS.set(key, renamer);
+}
+
+/**
+ * Migrate the project state after the environment has been renamed
+ */
+export function renameProjectEnvState(projectDir, oldEnv, newEnv) {
+  const projects = extension.context.globalState.get('projects', {});
+  const state = projects[projectDir];
+  if (!state) {
+    return;
+  }
+  if (state.selectedEnv === oldEnv) {
+    state.selectedEnv = newEnv;
+  }
+  for (const [key, renamer] of PROJECT_ENV_STATE_RENAMERS.entries()) {
+    if (state[key] !== undefined) {
+      state[key] = renamer(state[key], oldEnv, newEnv);
+    }
+  }
+  extension.context.globalState.update('projects', projects);
+}
+
 export function getLastProjectDir() {
   return extension.context.globalState.get('lastProjectDir');
 }
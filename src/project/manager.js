@@ -11,9 +11,14 @@ import * as projectHelpers from './helpers';
 
 import { disposeSubscriptions, notifyError } from '../utils';
 import { ProjectConfigLanguageProvider } from './config';
+import ProjectEnvMatrixManager from './env-matrix';
+import ProjectRunHistoryManager from './run-history';
+import ProjectSizeManager from './size';
 import ProjectTaskManager from './tasks';
 import ProjectTestManager from './tests';
 import { STATUS_BAR_PRIORITY_START } from '../constants';
+import SerialMonitorManager from '../monitor/manager';
+import SerialPortWatcher from './port-watcher';
 import { extension } from '../main';
 import path from 'path';
 import vscode from 'vscode';
@@ -28,6 +33,10 @@ export default class ProjectManager {
       'pioarduino: Project Configuration',
     );
     this._configProvider = new ProjectConfigLanguageProvider();
+    this._monitorManager = new SerialMonitorManager();
+    this._portWatcher = new SerialPortWatcher();
+    this._buildDiagnostics =
+      vscode.languages.createDiagnosticCollection('PlatformIO Build');
     this._configChangedTimeout = undefined;
 
     this._pool = new pioNodeHelpers.project.ProjectPool({
@@ -94,6 +103,13 @@ export default class ProjectManager {
       this._pool,
       this._logOutputChannel,
       this._configProvider,
+      this._monitorManager,
+      this._portWatcher,
+      this._buildDiagnostics,
+      this._configProvider.onDidRenameEnv(
+        async ({ projectDir, oldEnv, newEnv }) =>
+          await this.onDidRenameEnv(projectDir, oldEnv, newEnv),
+      ),
       vscode.window.onDidChangeActiveTextEditor(() => {
         if (!extension.getConfiguration('activateProjectOnTextEditorChange')) {
           return;
@@ -118,6 +134,9 @@ export default class ProjectManager {
       vscode.commands.registerCommand('platformio-ide._runProjectTask', (task) =>
         this._taskManager.runTask(task),
       ),
+      vscode.commands.registerCommand('platformio-ide.showEffectiveConfig', (env) =>
+        this._configProvider.showEffectiveConfig(this.getSelectedProjectDir(), env),
+      ),
       vscode.commands.registerCommand(
         'platformio-ide.activeEnvironment',
         async () => await this._pool.getActiveObserver().revealActiveEnvironment(),
@@ -178,6 +197,19 @@ export default class ProjectManager {
     );
   }
 
+  async onDidRenameEnv(projectDir, oldEnv, newEnv) {
+    projectHelpers.renameProjectEnvState(projectDir, oldEnv, newEnv);
+    const observer = this._pool.getActiveObserver();
+    if (
+      observer &&
+      observer.projectDir === projectDir &&
+      observer.getSelectedEnv() === oldEnv
+    ) {
+      observer.resetCache();
+      await this.switchToProject(projectDir, { env: newEnv, force: true });
+    }
+  }
+
   async switchToProject(projectDir, options = {}) {
     if (!projectDir) {
       console.error('switchProject => Please provide project folder');
@@ -227,9 +259,16 @@ export default class ProjectManager {
     ) {
       disposeSubscriptions(this.internalSubscriptions);
       await this._pool.switch(projectDir);
-      this._taskManager = new ProjectTaskManager(projectDir, observer);
+      this._taskManager = new ProjectTaskManager(projectDir, observer, {
+        monitorManager: this._monitorManager,
+        portWatcher: this._portWatcher,
+        buildDiagnostics: this._buildDiagnostics,
+      });
       this.internalSubscriptions.push(
         this._taskManager,
+        new ProjectSizeManager(projectDir, this._taskManager),
+        new ProjectRunHistoryManager(projectDir, this._taskManager),
+        new ProjectEnvMatrixManager(projectDir, this._taskManager),
         new ProjectTestManager(projectDir),
       );
 
@@ -0,0 +1,183 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import dgram from 'dgram';
+
+const DNS_TYPE_A = 1;
+const DNS_TYPE_PTR = 12;
+const DNS_TYPE_TXT = 16;
+const DNS_TYPE_SRV = 33;
+const DNS_CLASS_IN = 1;
+
+function encodeDnsName(name) {
+  const parts = name
+    .split('.')
+    .filter((label) => label.length)
+    .map((label) => {
+      const data = Buffer.from(label, 'utf-8');
+      return Buffer.concat([Buffer.from([data.length]), data]);
+    });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+function decodeDnsName(message, offset) {
+  const labels = [];
+  let nextOffset = undefined;
+  // limit the jumps to protect against the compression loops
+  for (let jumps = 0; jumps < 64; jumps++) {
+    const length = message.readUInt8(offset);
+    if (length === 0) {
+      return { name: labels.join('.'), offset: nextOffset || offset + 1 };
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (nextOffset === undefined) {
+        nextOffset = offset + 2;
+      }
+      offset = message.readUInt16BE(offset) & 0x3fff;
+      continue;
+    }
+    labels.push(message.toString('utf-8', offset + 1, offset + 1 + length));
+    offset += length + 1;
+  }
+  throw new Error('Invalid DNS name');
+}
+
+/**
+ * Build a one-shot mDNS query (RFC 6762), the responders send a unicast
+ * reply when the query comes from a port other than 5353
+ */
+export function encodeMdnsQuery(name, type = DNS_TYPE_PTR) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(1, 4); // QDCOUNT
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(type, 0);
+  question.writeUInt16BE(DNS_CLASS_IN, 2);
+  return Buffer.concat([header, encodeDnsName(name), question]);
+}
+
+export function decodeMdnsRecords(message) {
+  const counts = [4, 6, 8, 10].map((offset) => message.readUInt16BE(offset));
+  let offset = 12;
+  for (let i = 0; i < counts[0]; i++) {
+    offset = decodeDnsName(message, offset).offset + 4;
+  }
+  const records = [];
+  const recordsCount = counts[1] + counts[2] + counts[3];
+  for (let i = 0; i < recordsCount; i++) {
+    const { name, offset: dataOffset } = decodeDnsName(message, offset);
+    const type = message.readUInt16BE(dataOffset);
+    const length = message.readUInt16BE(dataOffset + 8);
+    const start = dataOffset + 10;
+    const record = { name, type };
+    switch (type) {
+      case DNS_TYPE_A:
+        record.data = Array.from(message.subarray(start, start + 4)).join('.');
+        break;
+      case DNS_TYPE_PTR:
+        record.data = decodeDnsName(message, start).name;
+        break;
+      case DNS_TYPE_SRV:
+        record.data = {
+          port: message.readUInt16BE(start + 4),
+          target: decodeDnsName(message, start + 6).name,
+        };
+        break;
+      case DNS_TYPE_TXT: {
+        record.data = {};
+        let pos = start;
+        while (pos < start + length) {
+          const item = message.toString('utf-8', pos + 1, pos + 1 + message[pos]);
+          const sepPos = item.indexOf('=');
+          if (sepPos > 0) {
+            record.data[item.substring(0, sepPos)] = item.substring(sepPos + 1);
+          }
+          pos += message[pos] + 1;
+        }
+        break;
+      }
+    }
+    records.push(record);
+    offset = start + length;
+  }
+  return records;
+}
+
+/**
+ * Discover the network (OTA) upload targets via mDNS. The multicast address
+ * and port are configurable, so it can be pointed to a local responder
+ */
+export class MdnsDiscovery {
+  static SERVICE_TYPE = '_arduino._tcp.local';
+
+  constructor({
+    address = '224.0.0.251',
+    port = 5353,
+    timeout = 2000,
+    serviceType = MdnsDiscovery.SERVICE_TYPE,
+  } = {}) {
+    this.address = address;
+    this.port = port;
+    this.timeout = timeout;
+    this.serviceType = serviceType;
+  }
+
+  discover() {
+    return new Promise((resolve) => {
+      const records = [];
+      const senders = {};
+      const socket = dgram.createSocket('udp4');
+      const finish = () => {
+        try {
+          socket.close();
+        } catch (err) {}
+        resolve(this.collectDevices(records, senders));
+      };
+      socket.on('message', (message, rinfo) => {
+        try {
+          for (const record of decodeMdnsRecords(message)) {
+            records.push(record);
+            senders[record.name] = rinfo.address;
+          }
+        } catch (err) {
+          console.warn(err);
+        }
+      });
+      socket.on('error', (err) => {
+        console.warn(err);
+        finish();
+      });
+      socket.bind(0, () => {
+        socket.send(encodeMdnsQuery(this.serviceType), this.port, this.address);
+        setTimeout(finish, this.timeout);
+      });
+    });
+  }
+
+  collectDevices(records, senders) {
+    const findRecord = (name, type) =>
+      records.find((record) => record.name === name && record.type === type);
+    const instances = records
+      .filter(
+        (record) => record.type === DNS_TYPE_PTR && record.name === this.serviceType,
+      )
+      .map((record) => record.data);
+    return [...new Set(instances)].map((instance) => {
+      const srv = findRecord(instance, DNS_TYPE_SRV);
+      const txt = findRecord(instance, DNS_TYPE_TXT);
+      const host = srv ? srv.data.target : undefined;
+      const a = host ? findRecord(host, DNS_TYPE_A) : undefined;
+      return {
+        name: instance.substring(0, instance.length - this.serviceType.length - 1),
+        host,
+        address: a ? a.data : senders[instance],
+        port: srv ? srv.data.port : undefined,
+        properties: txt ? txt.data : {},
+      };
+    });
+  }
+}
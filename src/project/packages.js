@@ -0,0 +1,141 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import * as pioNodeHelpers from 'pioarduino-node-helpers';
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const MANIFEST_NAMES = ['library.json', 'platform.json', 'library.properties'];
+
+async function loadJSONFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, { encoding: 'utf-8' }));
+  } catch (err) {
+    return undefined;
+  }
+}
+
+async function loadManifest(pkgDir) {
+  for (const name of MANIFEST_NAMES) {
+    const manifestPath = path.join(pkgDir, name);
+    if (!name.endsWith('.properties')) {
+      const data = await loadJSONFile(manifestPath);
+      if (data) {
+        return data;
+      }
+      continue;
+    }
+    try {
+      const content = await fs.readFile(manifestPath, { encoding: 'utf-8' });
+      return content.split(/\r?\n/).reduce((result, line) => {
+        const sepPos = line.indexOf('=');
+        if (sepPos > 0) {
+          result[line.substring(0, sepPos).trim()] = line.substring(sepPos + 1).trim();
+        }
+        return result;
+      }, {});
+    } catch (err) {}
+  }
+  return {};
+}
+
+/**
+ * Read the installed package from its "package manager" metadata (.piopm)
+ * and manifest, no network requests are involved
+ */
+export async function loadInstalledPackage(pkgDir, source) {
+  const metadata = (await loadJSONFile(path.join(pkgDir, '.piopm'))) || {};
+  const manifest = await loadManifest(pkgDir);
+  const spec = metadata.spec || {};
+  const name = metadata.name || manifest.name || spec.name;
+  if (!name) {
+    return undefined;
+  }
+  return {
+    type: metadata.type,
+    name,
+    owner: spec.owner,
+    version: metadata.version || manifest.version,
+    uri: spec.uri || undefined,
+    description: manifest.description || manifest.sentence,
+    source,
+    path: pkgDir,
+  };
+}
+
+async function listPackagesInDir(storageDir, source) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(storageDir, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+  const result = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) {
+      continue;
+    }
+    const pkg = await loadInstalledPackage(path.join(storageDir, entry.name), source);
+    if (pkg) {
+      result.push(pkg);
+    }
+  }
+  return result;
+}
+
+export async function listProjectLibraries(projectDir, env = undefined) {
+  const libdepsDir = path.join(projectDir, '.pio', 'libdeps');
+  let envs = env ? [env] : [];
+  if (!env) {
+    try {
+      envs = await fs.readdir(libdepsDir);
+    } catch (err) {}
+  }
+  const result = [];
+  for (const item of envs) {
+    result.push(
+      ...(await listPackagesInDir(path.join(libdepsDir, item), `env:${item}`)),
+    );
+  }
+  return result;
+}
+
+export async function listGlobalLibraries() {
+  return await listPackagesInDir(
+    path.join(pioNodeHelpers.core.getCoreDir(), 'lib'),
+    'global',
+  );
+}
+
+export async function listInstalledPlatforms() {
+  return await listPackagesInDir(
+    path.join(pioNodeHelpers.core.getCoreDir(), 'platforms'),
+    'global',
+  );
+}
+
+/**
+ * Find the installed package for the "lib_deps" or "platform" value, such as
+ * "owner/name @ ^1.0.0", "name" or a repository URL
+ */
+export function findInstalledPackage(packages, rawValue) {
+  const value = rawValue.trim();
+  if (value.includes('://')) {
+    return packages.find((pkg) => pkg.uri && value.startsWith(pkg.uri.split('#')[0]));
+  }
+  const [spec] = value.split('@');
+  const parts = spec.trim().split('/');
+  const name = parts.pop().trim().toLowerCase();
+  const owner = parts.length ? parts.pop().trim().toLowerCase() : undefined;
+  return packages.find(
+    (pkg) =>
+      pkg.name.toLowerCase() === name &&
+      (!owner || (pkg.owner && pkg.owner.toLowerCase() === owner)),
+  );
+}
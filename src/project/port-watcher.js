@@ -0,0 +1,154 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { disposeSubscriptions, listCoreSerialPorts } from '../utils';
+import { extension } from '../main';
+import vscode from 'vscode';
+
+const VID_PID_RE = /VID:PID=([0-9a-f]{4}):([0-9a-f]{4})/i;
+const VID_PID_RULE_RE = /^[0-9a-f]{4}:[0-9a-f]{4}$/i;
+
+export function getPortVidPid(port) {
+  const matches = VID_PID_RE.exec(port.hwid || '');
+  return matches ? `${matches[1]}:${matches[2]}`.toUpperCase() : undefined;
+}
+
+/**
+ * The "hwid" without the physical location, so the same device
+ * can be recognized after replugging into another USB socket
+ */
+export function getPortDeviceId(port) {
+  if (!port.hwid) {
+    return undefined;
+  }
+  return port.hwid.replace(/\s*LOCATION=\S+/, '').trim();
+}
+
+/**
+ * A rule is either "VID:PID", such as "10C4:EA60", or a "hwid" substring
+ */
+export function matchPortRule(rule, port) {
+  if (VID_PID_RULE_RE.test(rule)) {
+    return getPortVidPid(port) === rule.toUpperCase();
+  }
+  return (port.hwid || '').toLowerCase().includes(rule.toLowerCase());
+}
+
+export default class SerialPortWatcher {
+  constructor() {
+    this.ports = undefined;
+
+    this._lastUpdated = 0;
+    this._watchers = 0;
+    this._pollTimeout = undefined;
+    this._pendingUpdate = undefined;
+    this._disposed = false;
+    this._onDidChangePorts = new vscode.EventEmitter();
+    this.onDidChangePorts = this._onDidChangePorts.event;
+
+    this.subscriptions = [
+      this._onDidChangePorts,
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('platformio-ide.serialPortWatchInterval')) {
+          this.schedulePoll();
+        }
+      }),
+    ];
+  }
+
+  dispose() {
+    this._disposed = true;
+    if (this._pollTimeout) {
+      clearTimeout(this._pollTimeout);
+    }
+    disposeSubscriptions(this.subscriptions);
+  }
+
+  /**
+   * The ports are polled in the background only while somebody watches them
+   */
+  watch() {
+    this._watchers++;
+    if (this._watchers === 1) {
+      this.schedulePoll();
+    }
+    return new vscode.Disposable(() => {
+      this._watchers--;
+      if (!this._watchers) {
+        this.schedulePoll();
+      }
+    });
+  }
+
+  getPollInterval() {
+    return parseInt(extension.getConfiguration('serialPortWatchInterval')) * 1000;
+  }
+
+  schedulePoll() {
+    if (this._pollTimeout) {
+      clearTimeout(this._pollTimeout);
+      this._pollTimeout = undefined;
+    }
+    const interval = this.getPollInterval();
+    if (this._disposed || !interval || !this._watchers) {
+      return;
+    }
+    this._pollTimeout = setTimeout(async () => {
+      this._pollTimeout = undefined;
+      try {
+        await this.update();
+      } catch (err) {
+        console.warn(err);
+      }
+      this.schedulePoll();
+    }, interval);
+  }
+
+  /**
+   * Returns the known ports if they were updated by the watcher recently,
+   * otherwise asks PlatformIO Core for the fresh list
+   */
+  async getPorts({ force = false } = {}) {
+    const interval = this.getPollInterval();
+    if (!force && this.ports && interval && Date.now() - this._lastUpdated < interval) {
+      return this.ports;
+    }
+    return await this.update();
+  }
+
+  async update() {
+    if (!this._pendingUpdate) {
+      this._pendingUpdate = this._update().finally(
+        () => (this._pendingUpdate = undefined),
+      );
+    }
+    return await this._pendingUpdate;
+  }
+
+  async _update() {
+    const ports = await listCoreSerialPorts();
+    const previousPorts = this.ports;
+    this.ports = ports;
+    this._lastUpdated = Date.now();
+    if (!previousPorts) {
+      this._onDidChangePorts.fire({ ports, added: ports, removed: [] });
+      return ports;
+    }
+    const isSamePort = (a, b) => a.port === b.port && a.hwid === b.hwid;
+    const added = ports.filter(
+      (port) => !previousPorts.some((p) => isSamePort(p, port)),
+    );
+    const removed = previousPorts.filter(
+      (port) => !ports.some((p) => isSamePort(p, port)),
+    );
+    if (added.length || removed.length) {
+      this._onDidChangePorts.fire({ ports, added, removed });
+    }
+    return ports;
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import * as vscode from 'vscode';
+
+function formatDuration(duration) {
+  if (duration === undefined) {
+    return undefined;
+  }
+  const seconds = Math.round(duration / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+export default class ProjectRunHistoryTreeProvider {
+  constructor(historyManager) {
+    this.historyManager = historyManager;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(item) {
+    return item;
+  }
+
+  getChildren(element) {
+    const allHistory = this.historyManager.getAllHistory();
+    if (element) {
+      return this.getEntryItems(allHistory[element.env] || []);
+    }
+    const envs = Object.keys(allHistory).filter((env) => allHistory[env].length);
+    if (!envs.length) {
+      return [new vscode.TreeItem('No tasks have been run yet')];
+    }
+    if (envs.length === 1) {
+      return this.getEntryItems(allHistory[envs[0]]);
+    }
+    const selectedEnv = this.historyManager.getSelectedEnv();
+    return envs.sort().map((env) => {
+      const treeItem = new vscode.TreeItem(
+        `env:${env}`,
+        env === selectedEnv
+          ? vscode.TreeItemCollapsibleState.Expanded
+          : vscode.TreeItemCollapsibleState.Collapsed,
+      );
+      treeItem.env = env;
+      treeItem.iconPath = new vscode.ThemeIcon('root-folder');
+      return treeItem;
+    });
+  }
+
+  getEntryItems(history) {
+    return [...history].reverse().map((entry) => this.entryToTreeItem(entry));
+  }
+
+  entryToTreeItem(entry) {
+    const treeItem = new vscode.TreeItem(entry.task);
+    treeItem.entry = entry;
+    // such as "runHistoryEntry:log:rerun"
+    treeItem.contextValue = [
+      'runHistoryEntry',
+      ...(entry.logFile ? ['log'] : []),
+      ...(this.historyManager.isCoreCommand(entry.args) ? ['rerun'] : []),
+    ].join(':');
+    let status = 'Terminated';
+    let icon = new vscode.ThemeIcon(
+      'circle-slash',
+      new vscode.ThemeColor('testing.iconSkipped'),
+    );
+    if (entry.exitCode === 0) {
+      status = 'Succeeded';
+      icon = new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed'));
+    } else if (entry.exitCode !== undefined) {
+      status = `Failed (exit code ${entry.exitCode})`;
+      icon = new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed'));
+    }
+    treeItem.iconPath = icon;
+    treeItem.description = [
+      new Date(entry.startedAt).toLocaleString(),
+      formatDuration(entry.duration),
+      entry.port,
+    ]
+      .filter((value) => !!value)
+      .join(' · ');
+    treeItem.tooltip = [
+      status,
+      `platformio ${entry.args.join(' ')}`,
+      entry.port ? `Port: ${entry.port}` : undefined,
+    ]
+      .filter((value) => !!value)
+      .join('\n');
+    if (entry.logFile) {
+      treeItem.command = {
+        title: 'Open Log',
+        command: 'platformio-ide.openHistoryTaskLog',
+        arguments: [treeItem],
+      };
+    }
+    return treeItem;
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { disposeSubscriptions, stripAnsiEscapes } from '../utils';
+import {
+  getProjectItemState,
+  registerProjectEnvState,
+  updateProjectItemState,
+} from './helpers';
+import ProjectRunHistoryTreeProvider from './run-history-tree';
+import crypto from 'crypto';
+import { extension } from '../main';
+import { promises as fs } from 'fs';
+import path from 'path';
+import vscode from 'vscode';
+
+registerProjectEnvState('runHistory');
+
+export default class ProjectRunHistoryManager {
+  static VIEW_ID = 'platformio-ide.runHistory';
+  static MAX_HISTORY_SIZE = 30; // per environment
+  static DEFAULT_ENV_NAME = 'Default';
+  static CORE_COMMANDS = ['check', 'debug', 'device', 'remote', 'run', 'test'];
+
+  constructor(projectDir, taskManager) {
+    this.projectDir = projectDir;
+    this.taskManager = taskManager;
+    this.treeProvider = new ProjectRunHistoryTreeProvider(this);
+
+    this.subscriptions = [
+      vscode.window.registerTreeDataProvider(
+        ProjectRunHistoryManager.VIEW_ID,
+        this.treeProvider,
+      ),
+      this.taskManager.onDidEndTask((event) => this.onDidEndTask(event)),
+      vscode.commands.registerCommand('platformio-ide.rerunHistoryTask', (item) =>
+        this.rerun(item.entry),
+      ),
+      vscode.commands.registerCommand('platformio-ide.openHistoryTaskLog', (item) =>
+        this.openLog(item.entry),
+      ),
+      vscode.commands.registerCommand('platformio-ide.clearRunHistory', () =>
+        this.clear(),
+      ),
+    ];
+  }
+
+  dispose() {
+    disposeSubscriptions(this.subscriptions);
+  }
+
+  getAllHistory() {
+    return getProjectItemState(this.projectDir, 'runHistory') || {};
+  }
+
+  getSelectedEnv() {
+    return this.taskManager.projectObserver.getSelectedEnv();
+  }
+
+  getLogsDir() {
+    const projectHash = crypto
+      .createHash('sha1')
+      .update(this.projectDir)
+      .digest('hex')
+      .substring(0, 16);
+    return path.join(
+      extension.context.globalStorageUri.fsPath,
+      'run-logs',
+      projectHash,
+    );
+  }
+
+  /**
+   * Only the PlatformIO Core commands are recorded and can be re-run
+   */
+  isCoreCommand(args) {
+    return (
+      Array.isArray(args) &&
+      args.length > 0 &&
+      ProjectRunHistoryManager.CORE_COMMANDS.includes(args[0])
+    );
+  }
+
+  async onDidEndTask({ name, args, exitCode, startedAt, output }) {
+    if (!this.isCoreCommand(args)) {
+      return;
+    }
+    const endedAt = Date.now();
+    const env =
+      this.taskManager.getTaskArgsEnv(args) ||
+      ProjectRunHistoryManager.DEFAULT_ENV_NAME;
+    const entry = {
+      id: `${endedAt}-${Math.random().toString(36).substring(2, 8)}`,
+      task: name,
+      args,
+      env,
+      port: this.taskManager.getTaskArgsPort(args),
+      startedAt: new Date(startedAt || endedAt).toISOString(),
+      duration: startedAt ? endedAt - startedAt : undefined,
+      exitCode,
+      logFile: undefined,
+    };
+    // the process-based tasks (monitor) do not capture the output
+    if (output !== undefined) {
+      try {
+        entry.logFile = await this.saveLog(entry, output);
+      } catch (err) {
+        console.warn(err);
+      }
+    }
+
+    const allHistory = this.getAllHistory();
+    const history = [...(allHistory[env] || []), entry];
+    const removed = history.splice(
+      0,
+      Math.max(history.length - ProjectRunHistoryManager.MAX_HISTORY_SIZE, 0),
+    );
+    allHistory[env] = history;
+    updateProjectItemState(this.projectDir, 'runHistory', allHistory);
+    this.treeProvider.refresh();
+    await this.removeLogs(removed);
+  }
+
+  async saveLog(entry, output) {
+    const logsDir = this.getLogsDir();
+    await fs.mkdir(logsDir, { recursive: true });
+    const logFile = path.join(logsDir, `${entry.id}.log`);
+    const header = [
+      `> ${['platformio', ...entry.args].join(' ')}`,
+      `> Started at ${new Date(entry.startedAt).toLocaleString()}`,
+      `> Exit code: ${entry.exitCode}`,
+    ];
+    await fs.writeFile(
+      logFile,
+      [...header, '', stripAnsiEscapes(output).replace(/\r\n/g, '\n')].join('\n'),
+    );
+    return logFile;
+  }
+
+  async removeLogs(entries) {
+    for (const entry of entries.filter((item) => item.logFile)) {
+      try {
+        await fs.unlink(entry.logFile);
+      } catch (err) {}
+    }
+  }
+
+  rerun(entry) {
+    if (!this.isCoreCommand(entry.args)) {
+      return vscode.window.showWarningMessage(
+        `pioarduino: "${entry.task}" is not a PlatformIO command and can not be re-run`,
+      );
+    }
+    return this.taskManager.rerunTask({ name: entry.task, args: entry.args });
+  }
+
+  async openLog(entry) {
+    if (!entry.logFile) {
+      return vscode.window.showInformationMessage(
+        `pioarduino: The output of "${entry.task}" was not captured`,
+      );
+    }
+    try {
+      await vscode.window.showTextDocument(vscode.Uri.file(entry.logFile), {
+        preview: true,
+      });
+    } catch (err) {
+      vscode.window.showErrorMessage(
+        `pioarduino: Could not open the log file ${entry.logFile}`,
+      );
+    }
+  }
+
+  async clear() {
+    updateProjectItemState(this.projectDir, 'runHistory', undefined);
+    this.treeProvider.refresh();
+    try {
+      await fs.rm(this.getLogsDir(), { recursive: true, force: true });
+    } catch (err) {
+      console.warn(err);
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import * as vscode from 'vscode';
+
+import path from 'path';
+
+export default class ProjectSizeTreeProvider {
+  static MAX_ITEMS = 50;
+
+  constructor(sizeManager) {
+    this.sizeManager = sizeManager;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(item) {
+    return item;
+  }
+
+  getChildren(element) {
+    const env = this.sizeManager.getEnv();
+    if (!element) {
+      return this.getRootChildren(env);
+    }
+    switch (element.group) {
+      case 'history':
+        return this.getHistoryChildren(env);
+      case 'symbols':
+        return this.getSymbolsChildren(env);
+      case 'objects':
+        return this.getObjectsChildren(env);
+      case 'growth':
+        return this.getGrowthChildren(env);
+    }
+    return [];
+  }
+
+  createGroupItem(label, group, icon) {
+    const treeItem = new vscode.TreeItem(
+      label,
+      vscode.TreeItemCollapsibleState.Collapsed,
+    );
+    treeItem.group = group;
+    treeItem.iconPath = new vscode.ThemeIcon(icon);
+    return treeItem;
+  }
+
+  getRootChildren(env) {
+    const history = this.sizeManager.getHistory(env);
+    const current = history[history.length - 1];
+    if (!current) {
+      return [new vscode.TreeItem('Build the project to see the firmware size')];
+    }
+    const previous = history[history.length - 2] || {};
+    const result = [];
+    for (const [key, name, icon] of [
+      ['ram', 'RAM', 'server'],
+      ['flash', 'Flash', 'chip'],
+    ]) {
+      if (!current[key]) {
+        continue;
+      }
+      const treeItem = new vscode.TreeItem(
+        this.sizeManager.formatUsage(name, current[key], previous[key]),
+      );
+      treeItem.description = `env:${env}`;
+      treeItem.iconPath = new vscode.ThemeIcon(icon);
+      result.push(treeItem);
+    }
+    result.push(
+      this.createGroupItem('History', 'history', 'history'),
+      this.createGroupItem('Largest Symbols', 'symbols', 'symbol-method'),
+      this.createGroupItem('Largest Object Files', 'objects', 'file-binary'),
+    );
+    if (this.sizeManager.getPreviousReport(env)) {
+      result.push(
+        this.createGroupItem('Growth Since Previous Build', 'growth', 'graph'),
+      );
+    }
+    return result;
+  }
+
+  getHistoryChildren(env) {
+    const history = this.sizeManager.getHistory(env);
+    return history
+      .map((item, index) => {
+        const previous = history[index - 1] || {};
+        const treeItem = new vscode.TreeItem(new Date(item.date).toLocaleString());
+        treeItem.description = [
+          ['flash', 'Flash'],
+          ['ram', 'RAM'],
+        ]
+          .filter(([key]) => item[key])
+          .map(([key, name]) => {
+            const delta = previous[key] ? item[key].used - previous[key].used : 0;
+            return `${name} ${item[key].used}${delta ? ` (${delta > 0 ? '+' : ''}${delta})` : ''}`;
+          })
+          .join(', ');
+        return treeItem;
+      })
+      .reverse();
+  }
+
+  getSymbolsChildren(env) {
+    const report = this.sizeManager.getReport(env);
+    if (!report || !report.elfPath) {
+      return [new vscode.TreeItem('Could not find the firmware ELF file')];
+    }
+    const previous = this.getPreviousSymbolSizes(env);
+    return report.symbols.slice(0, ProjectSizeTreeProvider.MAX_ITEMS).map((symbol) => {
+      const treeItem = new vscode.TreeItem(symbol.name);
+      const delta =
+        previous && symbol.name in previous ? symbol.size - previous[symbol.name] : 0;
+      treeItem.description = `${symbol.size} bytes${
+        delta ? ` (${delta > 0 ? '+' : ''}${delta})` : ''
+      } · ${symbol.section}`;
+      treeItem.tooltip = `${symbol.type} at 0x${symbol.address.toString(16)}`;
+      treeItem.iconPath = new vscode.ThemeIcon(
+        symbol.type === 'function' ? 'symbol-method' : 'symbol-variable',
+      );
+      return treeItem;
+    });
+  }
+
+  getObjectsChildren(env) {
+    const report = this.sizeManager.getReport(env);
+    if (!report || !report.objects) {
+      const treeItem = new vscode.TreeItem('No linker map file');
+      treeItem.tooltip =
+        'Add "-Wl,-Map,${BUILD_DIR}/firmware.map" to the "build_flags" option';
+      return [treeItem];
+    }
+    return report.objects.slice(0, ProjectSizeTreeProvider.MAX_ITEMS).map((item) => {
+      const treeItem = new vscode.TreeItem(path.basename(item.file));
+      treeItem.description = `${item.size} bytes`;
+      treeItem.tooltip = item.file;
+      treeItem.iconPath = vscode.ThemeIcon.File;
+      return treeItem;
+    });
+  }
+
+  getPreviousSymbolSizes(env) {
+    const previousReport = this.sizeManager.getPreviousReport(env);
+    if (!previousReport) {
+      return undefined;
+    }
+    return previousReport.symbols.reduce((result, symbol) => {
+      result[symbol.name] = (result[symbol.name] || 0) + symbol.size;
+      return result;
+    }, {});
+  }
+
+  getGrowthChildren(env) {
+    const report = this.sizeManager.getReport(env);
+    const previous = this.getPreviousSymbolSizes(env);
+    if (!report || !previous) {
+      return [];
+    }
+    const result = report.symbols
+      .map((symbol) => ({ symbol, delta: symbol.size - (previous[symbol.name] || 0) }))
+      .filter(({ delta }) => delta > 0)
+      .sort((a, b) => b.delta - a.delta)
+      .slice(0, ProjectSizeTreeProvider.MAX_ITEMS)
+      .map(({ symbol, delta }) => {
+        const treeItem = new vscode.TreeItem(symbol.name);
+        treeItem.description = `+${delta} bytes${
+          symbol.name in previous ? '' : ' (new)'
+        } · ${symbol.section}`;
+        treeItem.iconPath = new vscode.ThemeIcon('arrow-up');
+        return treeItem;
+      });
+    return result.length ? result : [new vscode.TreeItem('No symbols have grown')];
+  }
+}
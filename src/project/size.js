@@ -0,0 +1,222 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { disposeSubscriptions, stripAnsiEscapes } from '../utils';
+import { findFirmwareFiles, readElfSymbols, readMapFileObjects } from './firmware';
+import {
+  getProjectItemState,
+  registerProjectEnvState,
+  updateProjectItemState,
+} from './helpers';
+import ProjectSizeTreeProvider from './size-tree';
+import { STATUS_BAR_PRIORITY_START } from '../constants';
+import { extension } from '../main';
+import vscode from 'vscode';
+
+const PROCESSING_RE = /^Processing (\S+) \(/;
+const SIZE_LINE_RE =
+  /^(RAM|Flash):\s+\[[^\]]*\]\s+[\d.]+%\s+\(used (\d+) bytes from (\d+) bytes\)/;
+
+/**
+ * Collect the "RAM:" and "Flash:" summary lines printed by PlatformIO Core
+ * after the build, the output can contain several environments
+ */
+export function parseSizeSummaries(output, defaultEnv = undefined) {
+  const result = {};
+  let env = defaultEnv;
+  for (const line of stripAnsiEscapes(output).split(/\r?\n/)) {
+    const processingMatch = PROCESSING_RE.exec(line);
+    if (processingMatch) {
+      env = processingMatch[1];
+      continue;
+    }
+    const matches = SIZE_LINE_RE.exec(line.trim());
+    if (!matches || !env) {
+      continue;
+    }
+    if (!result[env]) {
+      result[env] = {};
+    }
+    result[env][matches[1].toLowerCase()] = {
+      used: parseInt(matches[2]),
+      total: parseInt(matches[3]),
+    };
+  }
+  return result;
+}
+
+export function formatSizeDelta(delta) {
+  if (!delta) {
+    return '(no change)';
+  }
+  return `(${delta > 0 ? '+' : ''}${delta} bytes)`;
+}
+
+registerProjectEnvState('sizeHistory');
+
+export default class ProjectSizeManager {
+  static VIEW_ID = 'platformio-ide.firmwareSize';
+  static MAX_HISTORY_SIZE = 50;
+
+  constructor(projectDir, taskManager) {
+    this.projectDir = projectDir;
+    this.taskManager = taskManager;
+    this._lastEnv = undefined;
+    this._reports = new Map(); // env => { symbols, objects, elfPath, mapPath }
+    this._previousReports = new Map();
+
+    this._sbSize = vscode.window.createStatusBarItem(
+      'pio-firmware-size',
+      vscode.StatusBarAlignment.Left,
+      STATUS_BAR_PRIORITY_START - 1,
+    );
+    this._sbSize.name = 'pioarduino: Firmware Size';
+    this._sbSize.command = 'platformio-ide.showFirmwareSize';
+    this.treeProvider = new ProjectSizeTreeProvider(this);
+
+    this.subscriptions = [
+      this._sbSize,
+      vscode.window.registerTreeDataProvider(
+        ProjectSizeManager.VIEW_ID,
+        this.treeProvider,
+      ),
+      this.taskManager.onDidEndTask((event) => this.onDidEndTask(event)),
+      vscode.commands.registerCommand('platformio-ide.showFirmwareSize', () =>
+        vscode.commands.executeCommand(`${ProjectSizeManager.VIEW_ID}.focus`),
+      ),
+      vscode.commands.registerCommand('platformio-ide.refreshFirmwareSize', () =>
+        this.loadReport(this.getEnv()),
+      ),
+    ];
+
+    this.updateStatusBar();
+    this.loadReport(this.getEnv());
+  }
+
+  dispose() {
+    disposeSubscriptions(this.subscriptions);
+  }
+
+  getEnv() {
+    return (
+      this._lastEnv ||
+      this.taskManager.projectObserver.getSelectedEnv() ||
+      Object.keys(this.getAllHistory())[0]
+    );
+  }
+
+  getAllHistory() {
+    return getProjectItemState(this.projectDir, 'sizeHistory') || {};
+  }
+
+  getHistory(env) {
+    return this.getAllHistory()[env] || [];
+  }
+
+  getReport(env) {
+    return this._reports.get(env);
+  }
+
+  getPreviousReport(env) {
+    return this._previousReports.get(env);
+  }
+
+  async onDidEndTask({ args, exitCode, output }) {
+    // the programs of "pio test" are not the firmware
+    if (exitCode !== 0 || !output || args[0] !== 'run') {
+      return;
+    }
+    const summaries = parseSizeSummaries(output, this.taskManager.getTaskArgsEnv(args));
+    const envs = Object.keys(summaries);
+    if (!envs.length) {
+      return;
+    }
+    const allHistory = this.getAllHistory();
+    for (const env of envs) {
+      allHistory[env] = [
+        ...(allHistory[env] || []),
+        { date: new Date().toISOString(), ...summaries[env] },
+      ].slice(-ProjectSizeManager.MAX_HISTORY_SIZE);
+    }
+    updateProjectItemState(this.projectDir, 'sizeHistory', allHistory);
+    this._lastEnv = envs[envs.length - 1];
+    this.updateStatusBar();
+    await this.loadReport(this._lastEnv, { isNewBuild: true });
+  }
+
+  async loadReport(env, { isNewBuild = false } = {}) {
+    if (!env) {
+      return;
+    }
+    const { elfPath, mapPath } = await findFirmwareFiles(this.projectDir, env);
+    const report = { elfPath, mapPath, symbols: [], objects: undefined };
+    try {
+      if (elfPath) {
+        report.symbols = await readElfSymbols(elfPath);
+      }
+      if (mapPath) {
+        report.objects = await readMapFileObjects(mapPath);
+      }
+    } catch (err) {
+      console.warn(err);
+    }
+    // compare the symbols against the previous build
+    if (isNewBuild && this._reports.has(env)) {
+      this._previousReports.set(env, this._reports.get(env));
+    }
+    this._reports.set(env, report);
+    this.treeProvider.refresh();
+  }
+
+  formatUsage(name, usage, previousUsage = undefined) {
+    const percent = ((usage.used / usage.total) * 100).toFixed(1);
+    let result = `${name}: ${percent}% (${usage.used} of ${usage.total} bytes)`;
+    if (previousUsage) {
+      result += ` ${formatSizeDelta(usage.used - previousUsage.used)}`;
+    }
+    return result;
+  }
+
+  updateStatusBar() {
+    const env = this.getEnv();
+    const history = this.getHistory(env);
+    const current = history[history.length - 1];
+    if (!current) {
+      this._sbSize.hide();
+      return;
+    }
+    const previous = history[history.length - 2] || {};
+    const parts = [];
+    const tooltip = [`env:${env}`];
+    for (const [key, name] of [
+      ['ram', 'RAM'],
+      ['flash', 'Flash'],
+    ]) {
+      if (!current[key]) {
+        continue;
+      }
+      parts.push(
+        `${name} ${((current[key].used / current[key].total) * 100).toFixed(1)}%`,
+      );
+      tooltip.push(this.formatUsage(name, current[key], previous[key]));
+    }
+    const threshold = parseInt(
+      extension.getConfiguration('firmwareSizeWarningThreshold'),
+    );
+    const isOverBudget = ['ram', 'flash'].some(
+      (key) =>
+        current[key] && (current[key].used / current[key].total) * 100 >= threshold,
+    );
+    this._sbSize.text = `$(chip) ${parts.join(' | ')}`;
+    this._sbSize.tooltip = tooltip.join('\n');
+    this._sbSize.backgroundColor = isOverBudget
+      ? new vscode.ThemeColor('statusBarItem.warningBackground')
+      : undefined;
+    this._sbSize.show();
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { IS_WINDOWS } from '../constants';
+import { killProcessTree } from '../utils';
+import path from 'path';
+import { spawn } from 'child_process';
+import vscode from 'vscode';
+
+const CTRL_C = '\x03';
+
+/**
+ * Runs a PlatformIO Core command in the task terminal, so the extension
+ * can see its output (see "CustomExecution"). The optional "pre" and "post"
+ * hooks are shell commands executed before and after the successful command
+ */
+export default class ProjectTaskRunner {
+  static MAX_OUTPUT_SIZE = 1024 * 1024; // 1 MB
+
+  constructor({
+    command,
+    args,
+    cwd,
+    env,
+    shell = false,
+    preCommands = [],
+    postCommands = [],
+    onDidOutput = undefined,
+  }) {
+    this.command = command;
+    this.args = args;
+    this.cwd = cwd;
+    this.env = env;
+    this.shell = shell;
+    this.preCommands = preCommands;
+    this.postCommands = postCommands;
+    this.onDidOutput = onDidOutput;
+
+    this.output = '';
+    this.startedAt = undefined;
+
+    this._process = undefined;
+    this._closed = false;
+    this._exited = false;
+    this._onDidWrite = new vscode.EventEmitter();
+    this._onDidClose = new vscode.EventEmitter();
+    this._onDidExit = new vscode.EventEmitter();
+    this.onDidWrite = this._onDidWrite.event;
+    this.onDidClose = this._onDidClose.event;
+    this.onDidExit = this._onDidExit.event;
+  }
+
+  /**
+   * Pseudoterminal
+   */
+  open() {
+    this.startedAt = Date.now();
+    this.run();
+  }
+
+  close() {
+    this._closed = true;
+    if (this._process) {
+      killProcessTree(this._process);
+    }
+  }
+
+  handleInput(data) {
+    if (data === CTRL_C) {
+      return this.close();
+    }
+    if (this._process) {
+      this._process.stdin.write(data === '\r' ? '\n' : data);
+    }
+  }
+
+  async run() {
+    for (const command of this.preCommands) {
+      const exitCode = await this.spawn('hook', command, [], { shell: true });
+      if (exitCode !== 0) {
+        return this._exit(exitCode);
+      }
+    }
+    let exitCode = await this.spawn('task', this.command, this.args, {
+      shell: this.shell,
+      capture: true,
+    });
+    for (const command of exitCode === 0 ? this.postCommands : []) {
+      exitCode = await this.spawn('hook', command, [], { shell: true });
+      if (exitCode !== 0) {
+        break;
+      }
+    }
+    this._exit(exitCode);
+  }
+
+  spawn(kind, command, args, { shell = false, capture = false } = {}) {
+    if (this._closed) {
+      return Promise.resolve(-1);
+    }
+    this._write(
+      `> Executing ${kind}: ${[shell ? command : path.basename(command), ...args].join(
+        ' ',
+      )}\n\n`,
+    );
+    return new Promise((resolve) => {
+      const onData = (data) =>
+        capture ? this._onData(data) : this._write(data.toString());
+      let exited = false;
+      const done = (code) => {
+        if (exited) {
+          return;
+        }
+        exited = true;
+        this._process = undefined;
+        // the process killed by a signal has no exit code
+        resolve(code === null ? -1 : code);
+      };
+      try {
+        this._process = spawn(command, args, {
+          cwd: this.cwd,
+          env: this.env,
+          shell,
+          detached: !IS_WINDOWS,
+        });
+      } catch (err) {
+        this._write(`${err}\n`);
+        return resolve(-1);
+      }
+      this._process.stdout.on('data', onData);
+      this._process.stderr.on('data', onData);
+      this._process.stdin.on('error', (err) => console.warn(err));
+      this._process.on('error', (err) => {
+        this._write(`${err}\n`);
+        done(-1);
+      });
+      this._process.on('close', (code) => done(code));
+    });
+  }
+
+  _onData(data) {
+    const text = data.toString();
+    this._write(text);
+    // keep the tail, it contains the summary of the task
+    this.output = (this.output + text).slice(-ProjectTaskRunner.MAX_OUTPUT_SIZE);
+    if (this.onDidOutput) {
+      this.onDidOutput(text);
+    }
+  }
+
+  _write(text) {
+    this._onDidWrite.fire(text.replace(/\r?\n/g, '\r\n'));
+  }
+
+  _exit(exitCode) {
+    if (this._exited) {
+      return;
+    }
+    this._exited = true;
+    this._onDidExit.fire(exitCode);
+    this._onDidClose.fire(exitCode);
+  }
+}
@@ -6,31 +6,78 @@
  * the root directory of this source tree.
  */
 
+import { BuildOutputParser, BuildPathResolver } from './build-diagnostics';
 import { IS_WINDOWS, STATUS_BAR_PRIORITY_START } from '../constants';
-import { disposeSubscriptions, listCoreSerialPorts } from '../utils';
-import { getProjectItemState, updateProjectItemState } from './helpers';
+import { ProjectCustomTaskRunner, getTaskHooks, loadCustomTasks } from './custom-tasks';
+import { getPortDeviceId, getPortVidPid, matchPortRule } from './port-watcher';
+import {
+  getProjectItemState,
+  registerProjectEnvState,
+  updateProjectItemState,
+} from './helpers';
+import { MdnsDiscovery } from './mdns';
+import ProjectTaskRunner from './task-runner';
 import ProjectTasksTreeProvider from './task-tree';
+import { disposeSubscriptions } from '../utils';
 import { extension } from '../main';
+import { listUploadDrives } from './upload-targets';
 import path from 'path';
 import vscode from 'vscode';
 
+registerProjectEnvState('portRules');
+registerProjectEnvState('uploadToAllPorts');
+
+function serialPortToPickItem(port, picked = false) {
+  return {
+    label: port.port,
+    description: [port.description, port.hwid].filter((value) => !!value).join(' | '),
+    picked,
+  };
+}
+
 export default class ProjectTaskManager {
   static PROVIDER_TYPE = 'PlatformIO';
   static TASKS_VIEW_ID = 'platformio-ide.projectTasks';
   static AUTO_REFRESH_DELAY = 500; // 0.5 sec
+  // the targets of the "run" command that build the firmware
+  static BUILD_TARGETS = ['upload', 'program', 'size', 'checkprogsize'];
 
-  constructor(projectDir, projectObserver) {
+  constructor(
+    projectDir,
+    projectObserver,
+    {
+      monitorManager,
+      portWatcher,
+      buildDiagnostics,
+      mdnsDiscovery = new MdnsDiscovery(),
+    },
+  ) {
     this.projectDir = projectDir;
     this.projectObserver = projectObserver;
+    this.monitorManager = monitorManager;
+    this.portWatcher = portWatcher;
+    this.buildDiagnostics = buildDiagnostics;
+    this.mdnsDiscovery = mdnsDiscovery;
     this.subscriptions = [];
 
+    // fired for the process-based (monitor) and the runner-based tasks
+    this._onDidEndTask = new vscode.EventEmitter();
+    this.onDidEndTask = this._onDidEndTask.event;
+
     this._sid = Math.random();
     this._multienvTaskExplorer = false;
     this._refreshTimeout = undefined;
     this._startedTask = undefined;
+    this._processStartTimes = new WeakMap(); // TaskExecution => timestamp
     this._tasksToRestore = [];
+    this._monitorsToResume = [];
     this._sbPortSwitcher = undefined;
     this._customPort = getProjectItemState(projectDir, 'customPort');
+    this._customPortDeviceId = getProjectItemState(projectDir, 'customPortDeviceId');
+    this._customPortByRules = Boolean(
+      getProjectItemState(projectDir, 'customPortByRules'),
+    );
+    this._portWatch = undefined;
 
     this.refresh();
   }
@@ -67,12 +114,13 @@ export default class ProjectTaskManager {
     for (const env of projectEnvs) {
       projectTasks.push(...((await this.projectObserver.getLoadedEnvTasks(env)) || []));
     }
+    const customTasks = loadCustomTasks(this.projectDir, projectEnvs);
 
     const taskViewer = vscode.window.createTreeView(ProjectTaskManager.TASKS_VIEW_ID, {
       treeDataProvider: new ProjectTasksTreeProvider(
         this._sid,
         projectEnvs,
-        projectTasks,
+        [...projectTasks, ...customTasks],
         this.projectObserver.getSelectedEnv(),
         this._multienvTaskExplorer,
       ),
@@ -91,13 +139,39 @@ export default class ProjectTaskManager {
 
       // register VSCode Task Provider
       vscode.tasks.registerTaskProvider(ProjectTaskManager.PROVIDER_TYPE, {
-        provideTasks: () => projectTasks.map((task) => this.toVSCodeTask(task)),
-        resolveTask: () => {
-          return undefined;
-        },
+        provideTasks: () => [
+          ...projectTasks.map((task) => this.toVSCodeTask(task)),
+          ...customTasks.map((task) => this.customTaskToVSCodeTask(task)),
+        ],
+        resolveTask: (task) => this.resolveTask(task, projectTasks),
+      }),
+
+      vscode.tasks.onDidStartTaskProcess((event) =>
+        this._processStartTimes.set(event.execution, Date.now()),
+      ),
+      vscode.tasks.onDidEndTaskProcess((event) => {
+        if (event.execution.task.definition.type !== ProjectTaskManager.PROVIDER_TYPE) {
+          return;
+        }
+        this._onDidEndTask.fire({
+          name: event.execution.task.name,
+          args: this.getTaskArgs(event.execution.task),
+          exitCode: event.exitCode,
+          startedAt: this._processStartTimes.get(event.execution),
+          execution: event.execution,
+        });
       }),
+      this.onDidEndTask((event) => this.onDidEndTaskProcess(event)),
 
-      vscode.tasks.onDidEndTaskProcess((event) => this.onDidEndTaskProcess(event)),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (
+          ['platformio-ide.customTasks', 'platformio-ide.taskHooks'].some((section) =>
+            event.affectsConfiguration(section, vscode.Uri.file(this.projectDir)),
+          )
+        ) {
+          this.requestRefresh();
+        }
+      }),
     );
 
     this.registerTaskBasedCommands(projectTasks);
@@ -118,43 +192,95 @@ export default class ProjectTaskManager {
     return this.requestRefresh();
   }
 
-  toVSCodeTask(projectTask) {
+  toVSCodeTask(
+    projectTask,
+    {
+      port = this._customPort,
+      name = projectTask.id,
+      extraArgs = [],
+      args = [...projectTask.getCoreArgs({ port }), ...extraArgs],
+    } = {},
+  ) {
+    const vscodeTask = this.createVSCodeTask(name, args, {
+      hooks: getTaskHooks(this.projectDir, projectTask.name),
+    });
+    if (projectTask.isBuild()) {
+      vscodeTask.group = vscode.TaskGroup.Build;
+    } else if (projectTask.isClean()) {
+      vscodeTask.group = vscode.TaskGroup.Clean;
+    } else if (projectTask.isTest()) {
+      vscodeTask.group = vscode.TaskGroup.Test;
+    }
+    return vscodeTask;
+  }
+
+  getTaskProcessEnv() {
     const envClone = Object.assign({}, process.env);
     if (process.env.PLATFORMIO_PATH) {
       envClone.PATH = process.env.PLATFORMIO_PATH;
       envClone.Path = process.env.PLATFORMIO_PATH;
     }
+    return envClone;
+  }
+
+  createVSCodeTask(
+    name,
+    args,
+    {
+      hooks = {},
+      projectDir = this.projectDir,
+      definition = { type: ProjectTaskManager.PROVIDER_TYPE, task: name },
+      scope = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(projectDir)),
+    } = {},
+  ) {
+    const envClone = this.getTaskProcessEnv();
+    const command = IS_WINDOWS ? 'platformio.exe' : 'platformio';
+    const isCaptured = this.isCapturedTask(args);
     const vscodeTask = new vscode.Task(
-      {
-        type: ProjectTaskManager.PROVIDER_TYPE,
-        task: projectTask.id,
-      },
-      vscode.workspace.getWorkspaceFolder(vscode.Uri.file(this.projectDir)),
-      projectTask.id,
+      definition,
+      scope,
+      name,
       ProjectTaskManager.PROVIDER_TYPE,
-      new vscode.ProcessExecution(
-        IS_WINDOWS ? 'platformio.exe' : 'platformio',
-        projectTask.getCoreArgs({ port: this._customPort }),
-        {
-          cwd: this.projectDir,
-          env: envClone,
-        },
-      ),
-      '$platformio',
+      isCaptured
+        ? new vscode.CustomExecution(async () =>
+            this.createTaskRunner(name, command, args, {
+              task: vscodeTask,
+              env: envClone,
+              hooks,
+              projectDir,
+            }),
+          )
+        : new vscode.ProcessExecution(command, args, {
+            cwd: projectDir,
+            env: envClone,
+          }),
+      // the captured output is published to the "PlatformIO Build" diagnostics
+      isCaptured || args.includes('monitor') ? [] : '$platformio',
     );
     vscodeTask.presentationOptions = {
       panel: vscode.TaskPanelKind.Dedicated,
     };
-    if (projectTask.isBuild()) {
-      vscodeTask.group = vscode.TaskGroup.Build;
-    } else if (projectTask.isClean()) {
-      vscodeTask.group = vscode.TaskGroup.Clean;
-    } else if (projectTask.isTest()) {
-      vscodeTask.group = vscode.TaskGroup.Test;
-    }
     return vscodeTask;
   }
 
+  /**
+   * The output of the builds and tests is parsed for the diagnostics and
+   * the sizes. Other tasks, such as "menuconfig" or the monitor, need
+   * a real terminal
+   */
+  isCapturedTask(args) {
+    if (args[0] === 'test') {
+      return true;
+    }
+    const monitorTaskArgs = this.splitMonitorTaskArgs(args);
+    return (
+      args[0] === 'run' &&
+      this.getTaskArgsTargets(monitorTaskArgs ? monitorTaskArgs.runArgs : args).every(
+        (target) => ProjectTaskManager.BUILD_TARGETS.includes(target),
+      )
+    );
+  }
+
   runTask(task) {
     this._autoCloseSerialMonitor(task);
     // use string-based task defination for Win 7 // issue #3481
@@ -164,9 +290,223 @@ export default class ProjectTaskManager {
     );
   }
 
+  /**
+   * Resolve the task from "tasks.json", such as
+   * { "type": "PlatformIO", "task": "Upload", "env": "esp32", "port": "COM3" }
+   */
+  async resolveTask(task, projectTasks) {
+    const { env, target, port, args = [], projectDir } = task.definition;
+    const taskProjectDir = this.resolveTaskProjectDir(task, projectDir);
+    let projectTask = undefined;
+    let coreArgs = undefined;
+    if (target) {
+      coreArgs = ['run', ...(env ? ['--environment', env] : []), '--target', target];
+      if (port) {
+        coreArgs.push(target === 'monitor' ? '--monitor-port' : '--upload-port', port);
+      }
+    } else if (taskProjectDir === this.projectDir) {
+      projectTask = env
+        ? await this.getEnvTask(env, task.definition.task)
+        : projectTasks.find((item) => item.id === task.definition.task);
+      if (projectTask) {
+        coreArgs = projectTask.getCoreArgs({ port: port || this._customPort });
+      }
+    }
+    // the "args" without a known task or target are the complete Core arguments
+    if (!coreArgs && !args.length) {
+      return undefined;
+    }
+    return this.createVSCodeTask(task.name, [...(coreArgs || []), ...args], {
+      hooks: projectTask ? getTaskHooks(taskProjectDir, projectTask.name) : {},
+      projectDir: taskProjectDir,
+      definition: task.definition,
+      scope: task.scope,
+    });
+  }
+
+  resolveTaskProjectDir(task, projectDir) {
+    if (!projectDir) {
+      return this.projectDir;
+    }
+    const baseDir =
+      task.scope && task.scope.uri ? task.scope.uri.fsPath : this.projectDir;
+    return path.resolve(baseDir, projectDir);
+  }
+
+  /**
+   * Custom tasks
+   */
+  customTaskToVSCodeTask(customTask) {
+    const vscodeTask = new vscode.Task(
+      {
+        type: ProjectTaskManager.PROVIDER_TYPE,
+        task: customTask.id,
+      },
+      vscode.workspace.getWorkspaceFolder(vscode.Uri.file(this.projectDir)),
+      customTask.id,
+      ProjectTaskManager.PROVIDER_TYPE,
+      new vscode.CustomExecution(
+        async () =>
+          new ProjectCustomTaskRunner((terminal) =>
+            this.runCustomTask(customTask, terminal),
+          ),
+      ),
+      [],
+    );
+    vscodeTask.presentationOptions = {
+      panel: vscode.TaskPanelKind.Dedicated,
+    };
+    return vscodeTask;
+  }
+
+  async runCustomTask(customTask, terminal) {
+    const steps = [];
+    for (const step of customTask.steps) {
+      const projectTask = step.task
+        ? await this.getEnvTask(customTask.coreEnv, step.task)
+        : undefined;
+      if (step.task && !projectTask) {
+        terminal.write(
+          `Could not find the "${step.task}" task for env:${customTask.coreEnv}\n`,
+        );
+        return -1;
+      }
+      const coreArgs = projectTask
+        ? projectTask.getCoreArgs({ port: this._customPort })
+        : undefined;
+      steps.push({
+        ...step,
+        projectTask,
+        coreArgs,
+        // "Upload and Monitor" opens the monitor after the upload
+        monitorTaskArgs: coreArgs ? this.splitMonitorTaskArgs(coreArgs) : undefined,
+      });
+    }
+    const isMonitorStep = (step) =>
+      step.coreArgs && step.coreArgs.includes('monitor') && !step.monitorTaskArgs;
+    // close the serial monitors once for all steps and reopen them at the end
+    const startedTask = {
+      args: steps
+        .filter((step) => step.coreArgs && !isMonitorStep(step))
+        .reduce((result, step) => [...result, ...step.coreArgs], []),
+    };
+    await this._autoCloseSerialMonitor(startedTask);
+
+    let exitCode = 0;
+    for (const [index, step] of steps.entries()) {
+      if (terminal.cancelled) {
+        exitCode = -1;
+        break;
+      }
+      terminal.write(
+        `> Step ${index + 1}/${steps.length}: ${step.task || step.shell}\n\n`,
+      );
+      if (step.shell) {
+        exitCode = await terminal.runShell(step.shell, {
+          cwd: this.projectDir,
+          env: this.getTaskProcessEnv(),
+        });
+      } else if (isMonitorStep(step)) {
+        await this.startTaskMonitor({
+          name: step.projectTask.id,
+          env: customTask.coreEnv,
+          args: step.coreArgs,
+        });
+      } else if (step.monitorTaskArgs) {
+        exitCode = (
+          await this.runTaskAndWait(step.projectTask, {
+            args: step.monitorTaskArgs.runArgs,
+          })
+        ).exitCode;
+        if (exitCode === 0) {
+          // the port is available after the device has been restarted
+          await new Promise((resolve) =>
+            setTimeout(
+              resolve,
+              parseInt(extension.getConfiguration('reopenSerialMonitorDelay')),
+            ),
+          );
+          await this.startTaskMonitor({
+            name: `${step.projectTask.id} (Monitor)`,
+            env: customTask.coreEnv,
+            args: step.monitorTaskArgs.monitorArgs,
+          });
+        }
+      } else {
+        exitCode = (await this.runTaskAndWait(step.projectTask)).exitCode;
+      }
+      if (exitCode !== 0) {
+        terminal.write(`\nStep "${step.task || step.shell}" failed (${exitCode})\n`);
+        break;
+      }
+    }
+    this.onDidEndTaskProcess({ args: startedTask.args, exitCode });
+    return exitCode;
+  }
+
+  startTaskMonitor({ name, env, args }) {
+    if (extension.getConfiguration('useBuiltinSerialMonitor')) {
+      // reuses the monitor released by the previous steps
+      return this.monitorManager.open({
+        projectDir: this.projectDir,
+        env,
+        port: this._customPort,
+      });
+    }
+    const hasMonitorTask =
+      this._tasksToRestore.length ||
+      vscode.tasks.taskExecutions.some(
+        ({ task }) =>
+          task.definition.type === ProjectTaskManager.PROVIDER_TYPE &&
+          this.getTaskArgs(task).includes('monitor'),
+      );
+    if (!hasMonitorTask) {
+      vscode.tasks.executeTask(this.createVSCodeTask(name, args));
+    }
+  }
+
+  /**
+   * Split "run --target upload --target monitor" into the Core arguments
+   * of the upload and of the monitor
+   */
+  splitMonitorTaskArgs(args) {
+    if (args[0] !== 'run') {
+      return undefined;
+    }
+    const targets = [];
+    const otherArgs = [];
+    for (let index = 0; index < args.length; index++) {
+      if (['-t', '--target'].includes(args[index])) {
+        targets.push(args[++index]);
+      } else {
+        otherArgs.push(args[index]);
+      }
+    }
+    if (!targets.includes('monitor') || targets.length < 2) {
+      return undefined;
+    }
+    const withTargets = (names) => [
+      ...otherArgs,
+      ...names.reduce((result, target) => [...result, '--target', target], []),
+    ];
+    return {
+      runArgs: withTargets(targets.filter((target) => target !== 'monitor')),
+      monitorArgs: withTargets(['monitor']),
+    };
+  }
+
+  /**
+   * Run the task again with the same PlatformIO Core arguments
+   */
+  rerunTask({ name, args }) {
+    this._autoCloseSerialMonitor({ args });
+    return vscode.tasks.executeTask(this.createVSCodeTask(name, args));
+  }
+
   async _autoCloseSerialMonitor(startedTask) {
     this._startedTask = startedTask;
     this._tasksToRestore = [];
+    this._monitorsToResume = [];
     const closeMonitorConds = [
       extension.getConfiguration('autoCloseSerialMonitor'),
       ['upload', 'test'].some((arg) =>
@@ -185,6 +525,9 @@ export default class ProjectTaskManager {
     //   return;
     // }
 
+    // the built-in monitors only release the port and reconnect later
+    this._monitorsToResume = this.monitorManager.releaseMonitors(this._customPort);
+
     vscode.tasks.taskExecutions.forEach((event) => {
       const isCurrentTask = this.areTasksEqual(this._startedTask, event.task);
       const skipConds = [
@@ -204,29 +547,358 @@ export default class ProjectTaskManager {
     });
   }
 
+  createTaskRunner(
+    name,
+    command,
+    args,
+    { task = undefined, env, hooks = {}, projectDir = this.projectDir } = {},
+  ) {
+    const parser = new BuildOutputParser(
+      new BuildPathResolver(projectDir, this.getTaskArgsEnv(args)),
+    );
+    const monitorTaskArgs = this.splitMonitorTaskArgs(args);
+    const runner = new ProjectTaskRunner({
+      command,
+      args: monitorTaskArgs ? monitorTaskArgs.runArgs : args,
+      cwd: projectDir,
+      // keep the colors without a TTY
+      env: Object.assign({}, env, { PLATFORMIO_FORCE_ANSI: 'true' }),
+      ...hooks,
+      onDidOutput: (text) => parser.feed(text),
+    });
+    runner.onDidExit((exitCode) => {
+      parser.flush();
+      this.publishBuildDiagnostics(parser, args);
+      if (monitorTaskArgs && exitCode === 0) {
+        // the port is available after the device has been restarted
+        setTimeout(
+          () =>
+            this.startTaskMonitor({
+              name: `${name} (Monitor)`,
+              env: this.getTaskArgsEnv(args),
+              args: monitorTaskArgs.monitorArgs,
+            }),
+          parseInt(extension.getConfiguration('reopenSerialMonitorDelay')),
+        );
+      }
+      this._onDidEndTask.fire({
+        name,
+        args,
+        exitCode,
+        startedAt: runner.startedAt,
+        output: runner.output,
+        task,
+      });
+    });
+    return runner;
+  }
+
+  getTaskArgsEnv(args) {
+    const index = args.findIndex((arg) => ['-e', '--environment'].includes(arg));
+    return index !== -1 ? args[index + 1] : undefined;
+  }
+
+  getTaskArgsTargets(args) {
+    return args.filter((_, index) => ['-t', '--target'].includes(args[index - 1]));
+  }
+
+  getTaskArgsPort(args) {
+    const index = args.findIndex((arg) =>
+      ['--upload-port', '--monitor-port', '--port', '-p'].includes(arg),
+    );
+    return index !== -1 ? args[index + 1] : undefined;
+  }
+
+  publishBuildDiagnostics(parser, args) {
+    // nothing is compiled, keep the diagnostics from the previous build
+    if (!['run', 'test'].includes(args[0]) || args.includes('nobuild')) {
+      return;
+    }
+    this.buildDiagnostics.clear();
+    for (const [uri, diagnostics] of parser.getDiagnostics()) {
+      this.buildDiagnostics.set(uri, diagnostics);
+    }
+  }
+
   onDidEndTaskProcess(event) {
-    const skipConds = [
-      !this._startedTask,
-      !this.areTasksEqual(this._startedTask, event.execution.task),
-      event.exitCode !== 0,
-      !this._tasksToRestore.length,
-    ];
-    if (skipConds.some((value) => value)) {
+    if (!this._startedTask || !this.areTasksEqual(this._startedTask, event)) {
+      return;
+    }
+    const reopenDelay = parseInt(
+      extension.getConfiguration('reopenSerialMonitorDelay'),
+    );
+    // reconnect the built-in monitors even if the task has failed
+    if (this._monitorsToResume.length) {
+      const monitors = this._monitorsToResume;
+      this._monitorsToResume = [];
+      setTimeout(() => this.monitorManager.resumeMonitors(monitors), reopenDelay);
+    }
+    if (event.exitCode !== 0 || !this._tasksToRestore.length) {
       return;
     }
     this._startedTask = undefined;
-    setTimeout(
-      () => {
-        while (this._tasksToRestore.length) {
-          vscode.tasks.executeTask(this._tasksToRestore.pop());
+    setTimeout(() => {
+      while (this._tasksToRestore.length) {
+        vscode.tasks.executeTask(this._tasksToRestore.pop());
+      }
+    }, reopenDelay);
+  }
+
+  /**
+   * Resolves with the "onDidEndTask" event of the execution, the exit code
+   * is "undefined" when the task has ended without it
+   */
+  async executeTaskAndWait(vscodeTask, { token = undefined } = {}) {
+    let execution = undefined;
+    let endEvent = undefined;
+    const endedExecutions = new Set();
+    let onDidEnd = undefined;
+    const ended = new Promise((resolve) => (onDidEnd = resolve));
+    const subscriptions = [
+      this.onDidEndTask((event) => {
+        if (event.task === vscodeTask || (execution && event.execution === execution)) {
+          endEvent = event;
+        }
+      }),
+      vscode.tasks.onDidEndTask((event) => {
+        endedExecutions.add(event.execution);
+        if (execution && event.execution === execution) {
+          onDidEnd();
         }
+      }),
+    ];
+    if (token) {
+      subscriptions.push(
+        token.onCancellationRequested(() => execution && execution.terminate()),
+      );
+    }
+    try {
+      execution = await vscode.tasks.executeTask(vscodeTask);
+      if (token && token.isCancellationRequested) {
+        execution.terminate();
+      }
+      if (!endedExecutions.has(execution)) {
+        await ended;
+      }
+    } finally {
+      disposeSubscriptions(subscriptions);
+    }
+    return (
+      endEvent || {
+        name: vscodeTask.name,
+        args: this.getTaskArgs(vscodeTask),
+        exitCode: undefined,
+        execution,
+      }
+    );
+  }
+
+  /**
+   * Run the project task and release the serial monitors if the task
+   * needs the port, resolves with the "onDidEndTask" event
+   */
+  async runTaskAndWait(
+    projectTask,
+    { port = this._customPort, token = undefined, ...options } = {},
+  ) {
+    const usesPort = ['upload', 'test'].some((arg) =>
+      projectTask.getCoreArgs({ port }).includes(arg),
+    );
+    const monitors = usesPort ? this.monitorManager.releaseMonitors(port) : [];
+    try {
+      return await this.executeTaskAndWait(
+        this.toVSCodeTask(projectTask, { port, ...options }),
+        { token },
+      );
+    } finally {
+      if (monitors.length) {
+        setTimeout(
+          () => this.monitorManager.resumeMonitors(monitors),
+          parseInt(extension.getConfiguration('reopenSerialMonitorDelay')),
+        );
+      }
+    }
+  }
+
+  async getEnvTask(env, name) {
+    if (!(await this.projectObserver.getLoadedEnvTasks(env))) {
+      await this.projectObserver.loadEnvTasks(env);
+    }
+    return ((await this.projectObserver.getLoadedEnvTasks(env)) || []).find(
+      (task) => task.name === name,
+    );
+  }
+
+  async pickProjectEnv(title) {
+    const projectEnvs = (await this.projectObserver.getConfig()).envs();
+    const activeEnv = await this.projectObserver.revealActiveEnvironment();
+    if (projectEnvs.length < 2) {
+      return activeEnv || projectEnvs[0];
+    }
+    const pickedItem = await vscode.window.showQuickPick(
+      [activeEnv, ...projectEnvs.filter((env) => env !== activeEnv)]
+        .filter((env) => !!env)
+        .map((env) => ({
+          env,
+          label: `env:${env}`,
+          description: env === activeEnv ? 'active' : undefined,
+        })),
+      { title },
+    );
+    return pickedItem ? pickedItem.env : undefined;
+  }
+
+  async pickSerialPorts({ title, picked = [] }) {
+    const serialPorts = await this.portWatcher.getPorts();
+    if (!serialPorts.length) {
+      vscode.window.showWarningMessage('pioarduino: Could not find any serial ports');
+      return [];
+    }
+    const pickedItems = await vscode.window.showQuickPick(
+      serialPorts.map((port) => serialPortToPickItem(port, picked.includes(port.port))),
+      {
+        title,
+        canPickMany: true,
+        matchOnDescription: true,
+      },
+    );
+    return (pickedItems || []).map((item) => item.label);
+  }
+
+  /**
+   * Multi-device setups
+   */
+  async openSerialMonitors() {
+    const env = await this.pickProjectEnv('Select an environment for the monitors');
+    if (!env) {
+      return;
+    }
+    const ports = await this.pickSerialPorts({
+      title: `Open Serial Monitors for env:${env}`,
+    });
+    for (const port of ports) {
+      await this.monitorManager.open({ projectDir: this.projectDir, env, port });
+    }
+  }
+
+  async uploadToAll() {
+    const env = await this.pickProjectEnv('Select an environment to upload');
+    if (!env) {
+      return;
+    }
+    const savedPorts = getProjectItemState(this.projectDir, 'uploadToAllPorts') || {};
+    const ports = await this.pickSerialPorts({
+      title: `Upload env:${env} to the ports`,
+      picked: savedPorts[env] || [],
+    });
+    if (!ports.length) {
+      return;
+    }
+    updateProjectItemState(this.projectDir, 'uploadToAllPorts', {
+      ...savedPorts,
+      [env]: ports,
+    });
+    const mode = await vscode.window.showQuickPick(
+      [
+        { label: 'Sequential', description: 'Upload to one port at a time' },
+        {
+          label: 'Parallel',
+          description: 'Build once and upload to all ports simultaneously',
+        },
+      ],
+      { title: `Upload env:${env} to ${ports.length} port(s)` },
+    );
+    if (!mode) {
+      return;
+    }
+    const uploadTask = await this.getEnvTask(env, 'Upload');
+    if (!uploadTask) {
+      vscode.window.showErrorMessage(
+        `pioarduino: Could not find the "Upload" task for env:${env}`,
+      );
+      return;
+    }
+    const results = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `pioarduino: Uploading env:${env}`,
+      },
+      async (progress) => {
+        if (mode.label === 'Sequential') {
+          const results = [];
+          for (const port of ports) {
+            progress.report({ message: port });
+            results.push(await this.uploadToPort(uploadTask, port));
+          }
+          return results;
+        }
+        // avoid concurrent builds of the same environment
+        progress.report({ message: 'Building...' });
+        const buildTask = await this.getEnvTask(env, 'Build');
+        if (buildTask) {
+          const { exitCode } = await this.runTaskAndWait(buildTask);
+          if (exitCode !== 0) {
+            return ports.map((port) => ({ port, exitCode, error: 'Build failed' }));
+          }
+        }
+        progress.report({ message: ports.join(', ') });
+        return await Promise.all(
+          ports.map((port) =>
+            this.uploadToPort(uploadTask, port, ['--target', 'nobuild']),
+          ),
+        );
       },
-      parseInt(extension.getConfiguration('reopenSerialMonitorDelay')),
     );
+    this.showUploadSummary(env, results);
+  }
+
+  async uploadToPort(uploadTask, port, extraArgs = []) {
+    const result = { port };
+    try {
+      const { exitCode } = await this.runTaskAndWait(uploadTask, {
+        port,
+        name: `${uploadTask.id}: ${port}`,
+        extraArgs,
+      });
+      result.exitCode = exitCode;
+    } catch (err) {
+      result.error = err.toString();
+    }
+    return result;
+  }
+
+  showUploadSummary(env, results) {
+    const lines = results.map(({ port, exitCode, error }) => {
+      if (exitCode === 0) {
+        return `${port}: SUCCESS`;
+      } else if (error) {
+        return `${port}: FAILED (${error})`;
+      }
+      return exitCode === undefined
+        ? `${port}: TERMINATED`
+        : `${port}: FAILED (exit code ${exitCode})`;
+    });
+    const succeeded = results.filter(({ exitCode }) => exitCode === 0).length;
+    const message = `pioarduino: Uploaded env:${env} to ${succeeded} of ${
+      results.length
+    } port(s). ${lines.join('; ')}`;
+    if (succeeded === results.length) {
+      vscode.window.showInformationMessage(message);
+    } else {
+      vscode.window.showErrorMessage(message);
+    }
+  }
+
+  async openSerialMonitor() {
+    return await this.monitorManager.open({
+      projectDir: this.projectDir,
+      env: await this.projectObserver.revealActiveEnvironment(),
+      port: this._customPort,
+    });
   }
 
   getTaskArgs(task) {
-    return task.args || task.execution.args;
+    return task.args || (task.execution && task.execution.args) || [];
   }
 
   isMonitorAndUploadTask(task) {
@@ -266,7 +938,15 @@ export default class ProjectTaskManager {
       vscode.commands.registerCommand('platformio-ide.clean', () => _runTask('Clean')),
       vscode.commands.registerCommand('platformio-ide.test', () => _runTask('Test')),
       vscode.commands.registerCommand('platformio-ide.serialMonitor', () =>
-        _runTask('Monitor'),
+        extension.getConfiguration('useBuiltinSerialMonitor')
+          ? this.openSerialMonitor()
+          : _runTask('Monitor'),
+      ),
+      vscode.commands.registerCommand('platformio-ide.serialMonitor.openMultiple', () =>
+        this.openSerialMonitors(),
+      ),
+      vscode.commands.registerCommand('platformio-ide.uploadToAll', () =>
+        this.uploadToAll(),
       ),
     );
   }
@@ -278,58 +958,374 @@ export default class ProjectTaskManager {
       STATUS_BAR_PRIORITY_START,
     );
     this._sbPortSwitcher.name = 'pioarduino: Port Switcher';
-    this._sbPortSwitcher.tooltip = 'Set upload/monitor/test port';
     this._sbPortSwitcher.command = 'platformio-ide.setProjectPort';
-    this.switchPort(this._customPort);
+    this.updatePortSwitcher();
 
     this.subscriptions.push(
       this._sbPortSwitcher,
+      this.portWatcher.onDidChangePorts((event) =>
+        this.onDidChangeSerialPorts(event).catch((err) => console.warn(err)),
+      ),
+      new vscode.Disposable(() => this.unwatchPorts()),
       vscode.commands.registerCommand('platformio-ide.setProjectPort', () =>
         this.pickProjectPort(),
       ),
+      vscode.commands.registerCommand('platformio-ide.managePortRules', () =>
+        this.managePortRules(),
+      ),
     );
+    this.updatePortWatch();
+    if (this.portWatcher.ports) {
+      this.applyPortRules(this.portWatcher.ports).catch((err) => console.warn(err));
+    }
+  }
+
+  /**
+   * The connected ports are watched only to follow the replugged device
+   * and to apply the auto-selection rules
+   */
+  updatePortWatch() {
+    const isNeeded =
+      Boolean(this._customPortDeviceId) ||
+      Object.values(getProjectItemState(this.projectDir, 'portRules') || {}).some(
+        (rules) => rules.length,
+      );
+    if (isNeeded && !this._portWatch) {
+      this._portWatch = this.portWatcher.watch();
+    } else if (!isNeeded) {
+      this.unwatchPorts();
+    }
+  }
+
+  unwatchPorts() {
+    if (this._portWatch) {
+      this._portWatch.dispose();
+      this._portWatch = undefined;
+    }
   }
 
   async pickProjectPort() {
-    const serialPorts = await listCoreSerialPorts();
+    const groups = {
+      serial: [],
+      hosts: this.getUploadHosts().map((host) => ({
+        label: host.label,
+        description: host.address,
+        target: { port: host.address },
+        buttons: [{ iconPath: new vscode.ThemeIcon('trash'), tooltip: 'Forget' }],
+        host,
+      })),
+      discovered: [],
+      drives: [],
+    };
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = 'Set upload/monitor/test port';
+    quickPick.matchOnDescription = true;
+    quickPick.busy = true;
+    const separator = (label) => ({ label, kind: vscode.QuickPickItemKind.Separator });
+    const render = () => {
+      const networkItems = [...groups.hosts, ...groups.discovered];
+      quickPick.items = [
+        { label: 'Auto', target: { port: undefined } },
+        ...(groups.serial.length ? [separator('Serial Ports'), ...groups.serial] : []),
+        ...(networkItems.length ? [separator('Network (OTA)'), ...networkItems] : []),
+        ...(groups.drives.length
+          ? [separator('Mounted Drives'), ...groups.drives]
+          : []),
+        separator(''),
+        { label: 'Custom...', action: 'custom' },
+        { label: 'Add Network Host...', action: 'addHost' },
+        { label: 'Auto-Selection Rules...', action: 'rules' },
+      ];
+    };
+    render();
+
+    Promise.all([
+      this.portWatcher.getPorts().then((ports) => {
+        groups.serial = ports.map((port) => ({
+          ...serialPortToPickItem(port),
+          target: { port: port.port, deviceId: getPortDeviceId(port) },
+        }));
+        render();
+      }),
+      this.mdnsDiscovery.discover().then((devices) => {
+        groups.discovered = devices
+          .filter((device) => device.address || device.host)
+          .filter(
+            (device) =>
+              !groups.hosts.some(
+                (item) => item.host.address === (device.address || device.host),
+              ),
+          )
+          .map((device) => ({
+            label: device.name,
+            description: [
+              device.address || device.host,
+              device.properties.board,
+              'mDNS',
+            ]
+              .filter((value) => !!value)
+              .join(' | '),
+            target: { port: device.address || device.host },
+            host: { label: device.name, address: device.address || device.host },
+          }));
+        render();
+      }),
+      listUploadDrives().then((drives) => {
+        groups.drives = drives.map((drive) => ({
+          label: drive.name,
+          description: `${drive.path} | ${drive.kind}`,
+          target: { port: drive.path },
+        }));
+        render();
+      }),
+    ])
+      .catch((err) => console.warn(err))
+      .finally(() => (quickPick.busy = false));
+
+    const pickedItem = await new Promise((resolve) => {
+      quickPick.onDidAccept(() => resolve(quickPick.selectedItems[0]));
+      quickPick.onDidHide(() => resolve(undefined));
+      quickPick.onDidTriggerItemButton(({ item }) => {
+        this.forgetUploadHost(item.host.address);
+        groups.hosts = groups.hosts.filter((host) => host !== item);
+        render();
+      });
+      quickPick.show();
+    });
+    quickPick.dispose();
+    if (!pickedItem) {
+      return;
+    }
+
+    switch (pickedItem.action) {
+      case 'custom': {
+        const value = await vscode.window.showInputBox({
+          title: 'Enter custom upload/monitor/test port',
+          placeHolder: 'Examples: COM3, /dev/ttyUSB*, 192.168.0.13, /media/disk',
+        });
+        if (value) {
+          this.switchPort(value.trim());
+        }
+        return;
+      }
+      case 'addHost':
+        return await this.addUploadHost();
+      case 'rules':
+        return await this.managePortRules();
+    }
+    if (pickedItem.host) {
+      this.saveUploadHost(pickedItem.host);
+    }
+    this.switchPort(pickedItem.target.port, pickedItem.target.deviceId);
+  }
+
+  /**
+   * Network (OTA) hosts remembered per project
+   */
+  getUploadHosts() {
+    return getProjectItemState(this.projectDir, 'uploadHosts') || [];
+  }
+
+  saveUploadHost(host) {
+    updateProjectItemState(this.projectDir, 'uploadHosts', [
+      ...this.getUploadHosts().filter((item) => item.address !== host.address),
+      host,
+    ]);
+  }
+
+  forgetUploadHost(address) {
+    updateProjectItemState(
+      this.projectDir,
+      'uploadHosts',
+      this.getUploadHosts().filter((item) => item.address !== address),
+    );
+  }
+
+  async addUploadHost() {
+    const address = await vscode.window.showInputBox({
+      title: 'Enter the network host for OTA upload',
+      placeHolder: 'Examples: 192.168.0.13, esp32-living-room.local',
+    });
+    if (!address || !address.trim()) {
+      return;
+    }
+    const label = await vscode.window.showInputBox({
+      title: 'Enter a label for the host',
+      value: address.trim(),
+    });
+    if (label === undefined) {
+      return;
+    }
+    this.saveUploadHost({
+      label: label.trim() || address.trim(),
+      address: address.trim(),
+    });
+    this.switchPort(address.trim());
+  }
+
+  /**
+   * The "deviceId" allows to follow the device when it is re-enumerated
+   * under another name after replugging, such as "/dev/ttyUSB1"
+   */
+  switchPort(port = undefined, deviceId = undefined, { byRules = false } = {}) {
+    updateProjectItemState(this.projectDir, 'customPort', port);
+    updateProjectItemState(this.projectDir, 'customPortDeviceId', deviceId);
+    updateProjectItemState(this.projectDir, 'customPortByRules', byRules);
+    this._customPort = port;
+    this._customPortDeviceId = deviceId;
+    this._customPortByRules = byRules;
+    this.updatePortSwitcher();
+    this.updatePortWatch();
+  }
+
+  isCustomPortDisconnected() {
+    const ports = this.portWatcher.ports;
+    return Boolean(
+      this._customPortDeviceId &&
+        ports &&
+        !ports.some((item) => item.port === this._customPort),
+    );
+  }
+
+  updatePortSwitcher() {
+    const isDisconnected = this.isCustomPortDisconnected();
+    const uploadHost = this.getUploadHosts().find(
+      (host) => host.address === this._customPort,
+    );
+    const label = uploadHost
+      ? uploadHost.label
+      : this._customPort
+        ? path.basename(this._customPort)
+        : 'Auto';
+    this._sbPortSwitcher.text = `$(plug) ${label}${
+      isDisconnected ? ' $(debug-disconnect)' : ''
+    }`;
+    this._sbPortSwitcher.tooltip = isDisconnected
+      ? `${this._customPort} is disconnected`
+      : 'Set upload/monitor/test port';
+    this._sbPortSwitcher.backgroundColor = isDisconnected
+      ? new vscode.ThemeColor('statusBarItem.warningBackground')
+      : undefined;
+    this._sbPortSwitcher.show();
+  }
+
+  async onDidChangeSerialPorts({ ports }) {
+    if (this.isCustomPortDisconnected()) {
+      const port = ports.find(
+        (item) => getPortDeviceId(item) === this._customPortDeviceId,
+      );
+      if (port) {
+        this.switchPort(port.port, this._customPortDeviceId, {
+          byRules: this._customPortByRules,
+        });
+        vscode.window.setStatusBarMessage(
+          `pioarduino: The device has been reconnected as ${port.port}`,
+          5000,
+        );
+      }
+    }
+    await this.applyPortRules(ports);
+    this.updatePortSwitcher();
+  }
+
+  getPortRules(env) {
+    return (getProjectItemState(this.projectDir, 'portRules') || {})[env] || [];
+  }
+
+  /**
+   * The manually selected port is kept, unless the user has just changed the rules
+   */
+  async applyPortRules(ports, { force = false } = {}) {
+    if (this._customPort && !this._customPortByRules && !force) {
+      return;
+    }
+    const rules = this.getPortRules(
+      await this.projectObserver.revealActiveEnvironment(),
+    );
+    if (!rules.length) {
+      return;
+    }
+    const matchesRules = (port) => rules.some((rule) => matchPortRule(rule, port));
+    const currentPort = ports.find((item) => item.port === this._customPort);
+    if (currentPort && matchesRules(currentPort)) {
+      return;
+    }
+    const port = ports.find(matchesRules);
+    if (!port) {
+      return;
+    }
+    this.switchPort(port.port, getPortDeviceId(port), { byRules: true });
+    vscode.window.setStatusBarMessage(
+      `pioarduino: ${port.port} has been selected by the auto-selection rules`,
+      5000,
+    );
+  }
+
+  async managePortRules() {
+    const env = await this.pickProjectEnv('Select an environment for the port rules');
+    if (!env) {
+      return;
+    }
+    const rules = this.getPortRules(env);
     const pickedItem = await vscode.window.showQuickPick(
       [
-        { label: 'Auto' },
-        ...serialPorts.map((port) => ({
-          label: port.port,
-          description: [port.description, port.hwid]
-            .filter((value) => !!value)
-            .join(' | '),
+        ...rules.map((rule) => ({
+          rule,
+          label: `$(trash) ${rule}`,
+          description: 'Remove the rule',
         })),
-        { label: 'Custom...' },
+        { label: '$(add) Add Rule...' },
       ],
-      {
-        matchOnDescription: true,
-      },
+      { title: `Port auto-selection rules for env:${env}` },
     );
     if (!pickedItem) {
       return;
     }
-    if (pickedItem.label === 'Custom...') {
-      const value = await vscode.window.showInputBox({
-        title: 'Enter custom upload/monitor/test port',
-        placeHolder: 'Examples: COM3, /dev/ttyUSB*, 192.168.0.13, /media/disk',
-      });
-      if (!value) {
+    let newRules = rules.filter((rule) => rule !== pickedItem.rule);
+    if (!pickedItem.rule) {
+      const rule = await this.pickPortRule();
+      if (!rule) {
         return;
       }
-      this.switchPort(value.trim());
-    } else {
-      this.switchPort(pickedItem.label !== 'Auto' ? pickedItem.label : undefined);
+      newRules = [...rules, rule];
     }
+    updateProjectItemState(this.projectDir, 'portRules', {
+      ...(getProjectItemState(this.projectDir, 'portRules') || {}),
+      [env]: newRules,
+    });
+    this.updatePortWatch();
+    await this.applyPortRules(await this.portWatcher.getPorts(), {
+      force: newRules.length > rules.length,
+    });
   }
 
-  switchPort(port = undefined) {
-    updateProjectItemState(this.projectDir, 'customPort', port);
-    this._customPort = port;
-    this._sbPortSwitcher.text = `$(plug) ${
-      this._customPort ? path.basename(this._customPort) : 'Auto'
-    }`;
-    this._sbPortSwitcher.show();
+  async pickPortRule() {
+    const items = [];
+    for (const port of await this.portWatcher.getPorts()) {
+      const vidPid = getPortVidPid(port);
+      if (vidPid && !items.some((item) => item.label === vidPid)) {
+        items.push({
+          label: vidPid,
+          description: `VID:PID of ${port.port}`,
+          detail: port.description,
+        });
+      }
+    }
+    items.push({
+      label: 'Custom...',
+      description: 'VID:PID or a "hwid" substring, such as a serial number',
+    });
+    const pickedItem = await vscode.window.showQuickPick(items, {
+      title: 'Select a rule for the port auto-selection',
+      matchOnDescription: true,
+    });
+    if (!pickedItem || pickedItem.label !== 'Custom...') {
+      return pickedItem ? pickedItem.label : undefined;
+    }
+    const value = await vscode.window.showInputBox({
+      title: 'Enter VID:PID or a "hwid" substring',
+      placeHolder: 'Examples: 10C4:EA60, SER=0001',
+    });
+    return value ? value.trim() : undefined;
   }
 }
@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { stripAnsiEscapes } from '../utils';
+
+// "test/test_main.cpp:12: test_sum: Expected 2 Was 3	[FAILED]"
+const PIO_RESULT_RE =
+  /^(?:(.+?):(\d+):\s*)?(\S.*?)(?::\s+(.*?))?\s+\[(PASSED|FAILED|SKIPPED|ERRORED)\]$/;
+// "test/test_main.cpp:12:test_sum:FAIL: Expected 2 Was 3"
+const UNITY_RESULT_RE = /^(.+?):(\d+):(\w+):(PASS|FAIL|IGNORE)(?::\s*(.*))?$/;
+// "[  FAILED  ] MathSuite.Adds (0 ms)"
+const GOOGLETEST_RESULT_RE =
+  /^\[\s*(OK|FAILED|SKIPPED)\s*\]\s+(\S+?)(?:,.*)?\s+\(\d+ ms\)$/;
+
+const STATUSES = {
+  PASSED: 'passed',
+  PASS: 'passed',
+  OK: 'passed',
+  FAILED: 'failed',
+  FAIL: 'failed',
+  ERRORED: 'failed',
+  SKIPPED: 'skipped',
+  IGNORE: 'skipped',
+};
+
+/**
+ * Parse the test case result printed by "pio test" while the suite is still
+ * running, the final JSON report has the complete results
+ */
+export function parseTestResultLine(rawLine) {
+  const line = stripAnsiEscapes(rawLine).trim();
+  let matches = UNITY_RESULT_RE.exec(line);
+  if (matches) {
+    return {
+      name: matches[3],
+      status: STATUSES[matches[4]],
+      message: matches[5],
+      file: matches[1],
+      line: parseInt(matches[2]),
+    };
+  }
+  matches = GOOGLETEST_RESULT_RE.exec(line);
+  if (matches) {
+    return { name: matches[2], status: STATUSES[matches[1]] };
+  }
+  matches = PIO_RESULT_RE.exec(line);
+  if (matches) {
+    return {
+      name: matches[3],
+      status: STATUSES[matches[5]],
+      message: matches[4],
+      file: matches[1],
+      line: matches[2] ? parseInt(matches[2]) : undefined,
+    };
+  }
+  return undefined;
+}
@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const SOURCE_EXTENSIONS = ['.c', '.cc', '.cpp', '.cxx', '.h', '.hpp', '.ino'];
+const UNITY_RUN_TEST_RE = /\bRUN_TEST\s*\(\s*(\w+)/g;
+const GOOGLETEST_RE = /\bTEST(?:_F|_P)?\s*\(\s*(\w+)\s*,\s*(\w+)\s*\)/g;
+const DOCTEST_RE =
+  /\bTEST_CASE(?:_FIXTURE\s*\(\s*\w+\s*,)?\s*\(?\s*"((?:[^"\\]|\\.)*)"/g;
+
+async function listSourceFiles(dir) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+  const result = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      result.push(...(await listSourceFiles(entryPath)));
+    } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      result.push(entryPath);
+    }
+  }
+  return result;
+}
+
+/**
+ * Replace the comments with spaces, so the offsets and lines are kept
+ */
+function stripComments(text) {
+  return text.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, (comment) =>
+    comment.replace(/[^\n]/g, ' '),
+  );
+}
+
+function getLineNumber(text, offset) {
+  return text.substring(0, offset).split('\n').length;
+}
+
+/**
+ * Find the Unity, GoogleTest and doctest test cases in the sources of the
+ * test suite. The names match the test cases reported by "pio test"
+ */
+export async function parseTestSources(testDir) {
+  const sources = [];
+  for (const file of await listSourceFiles(testDir)) {
+    try {
+      sources.push({
+        file,
+        text: stripComments(await fs.readFile(file, { encoding: 'utf-8' })),
+      });
+    } catch (err) {
+      console.warn(err);
+    }
+  }
+
+  const result = [];
+  const addCase = (name, file, text, offset) => {
+    if (!result.some((item) => item.name === name)) {
+      result.push({ name, file, line: getLineNumber(text, offset) });
+    }
+  };
+  // Unity test functions are defined anywhere, but registered by "RUN_TEST"
+  const findFunction = (name) => {
+    const re = new RegExp(`\\bvoid\\s+${name}\\s*\\(`);
+    for (const { file, text } of sources) {
+      const matches = re.exec(text);
+      if (matches) {
+        return { file, text, offset: matches.index };
+      }
+    }
+    return undefined;
+  };
+  for (const { file, text } of sources) {
+    for (const matches of text.matchAll(UNITY_RUN_TEST_RE)) {
+      const location = findFunction(matches[1]) || {
+        file,
+        text,
+        offset: matches.index,
+      };
+      addCase(matches[1], location.file, location.text, location.offset);
+    }
+    for (const matches of text.matchAll(GOOGLETEST_RE)) {
+      addCase(`${matches[1]}.${matches[2]}`, file, text, matches.index);
+    }
+    for (const matches of text.matchAll(DOCTEST_RE)) {
+      addCase(matches[1].replace(/\\(.)/g, '$1'), file, text, matches.index);
+    }
+  }
+  return result;
+}
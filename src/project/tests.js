@@ -7,11 +7,37 @@
  */
 
 import * as pioNodeHelpers from 'pioarduino-node-helpers';
-import { disposeSubscriptions } from '../utils';
+import { NATIVE_DEVICE_LANE, getCoreEnvConfig, getEnvDeviceLane } from './config';
+import { disposeSubscriptions, killProcessTree } from '../utils';
+import { IS_WINDOWS } from '../constants';
+import { extension } from '../main';
 import { promises as fs } from 'fs';
+import { parseTestResultLine } from './test-output';
+import { parseTestSources } from './test-sources';
 import path from 'path';
+import { spawn } from 'child_process';
 import vscode from 'vscode';
 
+function isVSCodeVersionAtLeast(major, minor) {
+  const [currentMajor, currentMinor] = vscode.version
+    .split('.')
+    .map((item) => parseInt(item));
+  return currentMajor > major || (currentMajor === major && currentMinor >= minor);
+}
+
+// "pio debug" without an interface only builds the program to debug, the
+// "debug_test" option is set on the configuration instance which it reuses
+const DEBUG_TEST_BUILD_SCRIPT = `
+import sys
+
+from platformio.__main__ import main
+from platformio.public import ProjectConfig
+
+env_name, test_name = sys.argv[1:3]
+ProjectConfig.get_instance().set("env:%s" % env_name, "debug_test", test_name)
+sys.exit(main(["platformio", "debug", "--environment", env_name]))
+`;
+
 export default class ProjectTestManager {
   constructor(projectDir) {
     this.projectDir = projectDir;
@@ -20,6 +46,7 @@ export default class ProjectTestManager {
       'PlatformIO Tests',
     );
     this.subscriptions = [this.controller];
+    this._envConfigs = new Map();
 
     this.controller.refreshHandler = this.refreshHandler.bind(this);
     this.controller.resolveHandler = this.resolveHandler.bind(this);
@@ -29,57 +56,143 @@ export default class ProjectTestManager {
       this.runHandler.bind(this),
       true,
     );
+    this.controller.createRunProfile(
+      'Debug Tests',
+      vscode.TestRunProfileKind.Debug,
+      this.debugHandler.bind(this),
+      true,
+    );
   }
 
   dispose() {
     disposeSubscriptions(this.subscriptions);
   }
 
-  async runCoreTestCommand(args) {
+  async runCoreTestCommand(
+    args,
+    { token = undefined, slotDir = undefined, onDidOutput = undefined } = {},
+  ) {
     const jsonOutputPath = path.join(
       pioNodeHelpers.core.getTmpDir(),
       `test-list-${Math.round(Math.random() * 100000)}.json`,
     );
-    let output = undefined;
-    let error = new Error();
-    try {
-      const envClone = Object.assign({}, process.env);
-      envClone['PLATFORMIO_FORCE_ANSI'] = 'true';
-      output = await pioNodeHelpers.core.getPIOCommandOutput(
-        ['test', ...args, '--json-output-path', jsonOutputPath],
-        {
-          projectDir: this.projectDir,
-          runInQueue: true,
-          spawnOptions: {
-            env: envClone,
-          },
-        },
-      );
-    } catch (err) {
-      error = err;
-    }
+    const { exitCode, output } = await this.spawnCoreCommand(
+      ['test', ...args, '--json-output-path', jsonOutputPath],
+      { env: this.getCoreProcessEnv({ slotDir }), token, onDidOutput },
+    );
     try {
       await fs.access(jsonOutputPath);
     } catch (err) {
-      throw error;
+      throw new Error(
+        token && token.isCancellationRequested
+          ? 'The test run has been cancelled'
+          : output || `pio test exited with code ${exitCode}`,
+      );
     }
 
     const data = await pioNodeHelpers.misc.loadJSON(jsonOutputPath);
     await fs.unlink(jsonOutputPath); // cleanup
-    return [data, output || error.toString()];
+    return [data, output];
+  }
+
+  getCoreProcessEnv({ slotDir = undefined } = {}) {
+    const envClone = Object.assign({}, process.env);
+    envClone['PLATFORMIO_FORCE_ANSI'] = 'true';
+    if (process.env.PLATFORMIO_PATH) {
+      envClone.PATH = process.env.PLATFORMIO_PATH;
+      envClone.Path = process.env.PLATFORMIO_PATH;
+    }
+    // the parallel runs of the same environment need own build directories,
+    // the libraries are installed there at the same time on the first run
+    if (slotDir) {
+      envClone['PLATFORMIO_BUILD_DIR'] = path.join(slotDir, 'build');
+      envClone['PLATFORMIO_LIBDEPS_DIR'] = path.join(slotDir, 'libdeps');
+    }
+    return envClone;
+  }
+
+  /**
+   * Spawn PlatformIO Core directly, so the cancelled test run can kill it
+   */
+  spawnCoreCommand(
+    args,
+    {
+      command = IS_WINDOWS ? 'platformio.exe' : 'platformio',
+      env,
+      token = undefined,
+      onDidOutput = undefined,
+    },
+  ) {
+    return new Promise((resolve) => {
+      let output = '';
+      let listener = undefined;
+      let exited = false;
+      const done = (exitCode) => {
+        if (exited) {
+          return;
+        }
+        exited = true;
+        if (listener) {
+          listener.dispose();
+        }
+        resolve({ exitCode, output });
+      };
+      let child = undefined;
+      try {
+        child = spawn(command, args, {
+          cwd: this.projectDir,
+          env,
+          detached: !IS_WINDOWS,
+        });
+      } catch (err) {
+        output = err.toString();
+        return done(-1);
+      }
+      if (token) {
+        // the compilers and the test program are killed too
+        listener = token.onCancellationRequested(() => killProcessTree(child));
+      }
+      const onData = (data) => {
+        output += data.toString();
+        if (onDidOutput) {
+          onDidOutput(data.toString());
+        }
+      };
+      child.stdout.on('data', onData);
+      child.stderr.on('data', onData);
+      child.on('error', (err) => {
+        output += `${err}\n`;
+        done(-1);
+      });
+      child.on('close', (code) => done(code));
+    });
+  }
+
+  async getEnvConfig(envName) {
+    if (!this._envConfigs.has(envName)) {
+      let config = {};
+      try {
+        config = await getCoreEnvConfig(this.projectDir, envName);
+      } catch (err) {
+        console.warn(err);
+      }
+      this._envConfigs.set(envName, config);
+    }
+    return this._envConfigs.get(envName);
   }
 
   async refreshHandler() {
+    this._envConfigs.clear();
     this.controller.items.replace([]); // clear
     await this.resolveTestSuites();
   }
 
   async resolveHandler(test) {
-    if (test) {
-      console.warn('Not Implemented');
-      return;
+    if (!test) {
+      await this.resolveTestSuites();
+    } else if (test.id.startsWith('suite:')) {
+      await this.resolveTestCases(test);
     }
-    await this.resolveTestSuites();
   }
 
   async resolveTestSuites() {
@@ -93,13 +206,15 @@ export default class ProjectTestManager {
       envToSuites.forEach((suites, envName) => {
         const envSuite = this.controller.createTestItem(`env:${envName}`, envName);
         envSuite.children.replace(
-          suites.map((suite) =>
-            this.controller.createTestItem(
+          suites.map((suite) => {
+            const item = this.controller.createTestItem(
               `suite:${envName}/${suite.test_name}`,
               suite.test_name,
               suite.test_dir ? vscode.Uri.file(suite.test_dir) : undefined,
-            ),
-          ),
+            );
+            item.canResolveChildren = !!suite.test_dir;
+            return item;
+          }),
         );
         this.controller.items.add(envSuite);
       });
@@ -114,6 +229,32 @@ export default class ProjectTestManager {
     }
   }
 
+  async resolveTestCases(suite) {
+    suite.busy = true;
+    try {
+      const testCases = await parseTestSources(suite.uri.fsPath);
+      suite.children.replace(
+        testCases.map((testCase) => this.createTestCaseItem(suite, testCase)),
+      );
+    } catch (err) {
+      console.warn(err);
+    }
+    suite.busy = false;
+  }
+
+  createTestCaseItem(suite, { name, file = undefined, line = undefined }) {
+    const item = this.controller.createTestItem(
+      `case:${suite.parent.label}/${suite.label}/${name}`,
+      name,
+      // the reported sources are relative to the project
+      file ? vscode.Uri.file(path.resolve(this.projectDir, file)) : undefined,
+    );
+    if (line) {
+      item.range = new vscode.Range(line - 1, 0, line - 1, 0);
+    }
+    return item;
+  }
+
   extractTestSuites(test) {
     if (test.id.startsWith('suite:')) {
       return [test];
@@ -128,14 +269,31 @@ export default class ProjectTestManager {
   async runHandler(request, token) {
     const run = this.controller.createTestRun(request);
     const queue = [];
+    const includedCases = new Map(); // suite => [case] or "undefined" for all cases
     const exclude = [];
+    const excludedCases = [];
+
+    const includeTest = (test) => {
+      if (!test.id.startsWith('case:')) {
+        return this.extractTestSuites(test).forEach((suite) => {
+          if (!queue.includes(suite)) {
+            queue.push(suite);
+          }
+          includedCases.set(suite, undefined);
+        });
+      }
+      if (!queue.includes(test.parent)) {
+        queue.push(test.parent);
+        includedCases.set(test.parent, []);
+      }
+      const cases = includedCases.get(test.parent);
+      if (cases && !cases.includes(test)) {
+        cases.push(test);
+      }
+    };
 
     if (request.include) {
-      request.include.forEach((test) =>
-        this.extractTestSuites(test).forEach((suite) =>
-          queue.includes(suite) ? undefined : queue.push(suite),
-        ),
-      );
+      request.include.forEach((test) => includeTest(test));
     } else {
       this.controller.items.forEach((item) =>
         item.children.forEach((suite) => queue.push(suite)),
@@ -143,84 +301,575 @@ export default class ProjectTestManager {
     }
     if (request.exclude) {
       request.exclude.forEach((test) =>
-        this.extractTestSuites(test).forEach((suite) => exclude.push(suite)),
+        test.id.startsWith('case:')
+          ? excludedCases.push(test)
+          : this.extractTestSuites(test).forEach((suite) => exclude.push(suite)),
       );
     }
 
-    while (queue.length > 0 && !token.isCancellationRequested) {
-      const suite = queue.pop();
+    // native suites run in parallel, hardware suites one by one per port
+    const lanes = new Map(); // lane => [suite]
+    for (const suite of queue) {
       if (exclude.includes(suite)) {
         run.skipped(suite);
         continue;
       }
-      await this._runTestSuite(run, suite);
+      const lane = await this.getSuiteLane(suite);
+      lanes.set(lane, [...(lanes.get(lane) || []), suite]);
     }
+    const nativeConcurrency = Math.max(
+      parseInt(extension.getConfiguration('nativeTestConcurrency')) || 1,
+      1,
+    );
+    const workers = [];
+    lanes.forEach((suites, lane) => {
+      const concurrency =
+        lane === NATIVE_DEVICE_LANE ? Math.min(nativeConcurrency, suites.length) : 1;
+      for (let slot = 0; slot < concurrency; slot++) {
+        workers.push(
+          (async () => {
+            while (suites.length && !token.isCancellationRequested) {
+              const suite = suites.shift();
+              await this._runTestSuite(run, suite, {
+                includeCases: includedCases.get(suite),
+                excludeCases: excludedCases.filter((test) => test.parent === suite),
+                token,
+                slotDir: slot > 0 ? this.getParallelSlotDir(slot) : undefined,
+              });
+            }
+          })(),
+        );
+      }
+    });
+    await Promise.all(workers);
+    // the suites which have not been started before the cancellation
+    lanes.forEach((suites) => suites.forEach((suite) => run.skipped(suite)));
     run.end();
   }
 
-  async _runTestSuite(run, suite) {
+  /**
+   * Debug the selected suites one by one, the selected test cases of
+   * GoogleTest and doctest suites are passed as the program filter
+   */
+  async debugHandler(request, token) {
+    const run = this.controller.createTestRun(request);
+    const queue = new Map(); // suite => [case name] or "undefined" for all cases
+    const exclude = [];
+    const excludedCases = [];
+    const includeTest = (test) => {
+      if (!test.id.startsWith('case:')) {
+        return this.extractTestSuites(test).forEach((suite) =>
+          queue.set(suite, undefined),
+        );
+      }
+      if (!queue.has(test.parent)) {
+        queue.set(test.parent, []);
+      }
+      const caseNames = queue.get(test.parent);
+      if (caseNames) {
+        caseNames.push(test.label);
+      }
+    };
+
+    if (request.include) {
+      request.include.forEach((test) => includeTest(test));
+    } else {
+      this.controller.items.forEach((item) => includeTest(item));
+    }
+    if (request.exclude) {
+      request.exclude.forEach((test) =>
+        test.id.startsWith('case:')
+          ? excludedCases.push(test)
+          : this.extractTestSuites(test).forEach((suite) => exclude.push(suite)),
+      );
+    }
+
+    for (const [suite, caseNames] of queue.entries()) {
+      if (token.isCancellationRequested || exclude.includes(suite)) {
+        run.skipped(suite);
+        continue;
+      }
+      await this._debugTestSuite(run, suite, {
+        caseNames,
+        excludeCaseNames: excludedCases
+          .filter((test) => test.parent === suite)
+          .map((test) => test.label),
+        token,
+      });
+    }
+    run.end();
+  }
+
+  async getSuiteLane(suite) {
+    return getEnvDeviceLane(await this.getEnvConfig(suite.parent.label));
+  }
+
+  getParallelSlotDir(slot) {
+    return path.join(this.projectDir, '.pio', 'test-slots', `${slot}`);
+  }
+
+  /**
+   * The test framework which accepts the test case filter, the program
+   * arguments are passed only to the tests running on the host machine,
+   * and not to a custom "test_testing_command"
+   */
+  async getCaseFilterFramework(envName) {
+    const config = await this.getEnvConfig(envName);
+    if (config.platform !== 'native' || config.test_testing_command) {
+      return undefined;
+    }
+    return ['googletest', 'doctest'].includes(config.test_framework)
+      ? config.test_framework
+      : undefined;
+  }
+
+  getCaseFilterArgs(framework, includeNames, excludeNames) {
+    if (framework === 'googletest') {
+      const filter = [
+        includeNames.length ? includeNames.join(':') : '*',
+        ...(excludeNames.length ? [excludeNames.join(':')] : []),
+      ].join('-');
+      return ['--program-arg', `--gtest_filter=${filter}`];
+    }
+    const escapeNames = (names) =>
+      names.map((name) => name.replace(/([,\\])/g, '\\$1')).join(',');
+    const result = [];
+    if (includeNames.length) {
+      result.push('--program-arg', `-tc=${escapeNames(includeNames)}`);
+    }
+    if (excludeNames.length) {
+      result.push('--program-arg', `-tce=${escapeNames(excludeNames)}`);
+    }
+    return result;
+  }
+
+  async _runTestSuite(
+    run,
+    suite,
+    {
+      includeCases = undefined,
+      excludeCases = [],
+      token = undefined,
+      slotDir = undefined,
+    } = {},
+  ) {
     const envName = suite.parent.label;
     const testName = suite.label;
     const startedAt = Date.now();
+    // Unity and the embedded tests fall back to the whole suite
+    const framework =
+      includeCases || excludeCases.length
+        ? await this.getCaseFilterFramework(envName)
+        : undefined;
+    const filterArgs = framework
+      ? this.getCaseFilterArgs(
+          framework,
+          (includeCases || []).map((test) => test.label),
+          excludeCases.map((test) => test.label),
+        )
+      : [];
     run.started(suite);
+    const streamer = this._createOutputStreamer(run, suite);
     try {
-      const [data, output] = await this.runCoreTestCommand([
-        '--environment',
-        envName,
-        '--filter',
-        testName,
-      ]);
-      process.chdir(data.project_dir);
-      const result = data.test_suites.find(
-        (item) => item.env_name === envName && item.test_name === testName,
+      const [data] = await this.runCoreTestCommand(
+        ['--environment', envName, '--filter', testName, ...filterArgs],
+        { token, slotDir, onDidOutput: streamer.write },
       );
+      await this._reportTestSuiteResult(run, suite, data, startedAt, {
+        skipNotReportedCases: filterArgs.length > 0,
+      });
+    } catch (err) {
+      this._reportTestSuiteError(run, suite, err, { token, startedAt, streamer });
+    }
+  }
 
-      switch (result.status) {
-        case 'SKIPPED':
-          run.skipped(suite);
-          break;
+  async _debugTestSuite(
+    run,
+    suite,
+    { caseNames = undefined, excludeCaseNames = [], token },
+  ) {
+    const envName = suite.parent.label;
+    const startedAt = Date.now();
+    run.started(suite);
+    const streamer = this._createOutputStreamer(run, suite);
+    try {
+      await this.buildDebugTestProgram(envName, suite.label, {
+        token,
+        onDidOutput: streamer.write,
+      });
+      const programPath = await this.getEnvProgramPath(envName, { token });
+      const config = await this.getEnvConfig(envName);
+      if (config.platform === 'native') {
+        await this._debugNativeTestProgram(run, suite, programPath, {
+          caseNames,
+          excludeCaseNames,
+          token,
+          startedAt,
+          streamer,
+        });
+      } else {
+        await this._debugEmbeddedTestProgram(run, suite, programPath, {
+          token,
+          startedAt,
+          streamer,
+        });
+      }
+    } catch (err) {
+      this._reportTestSuiteError(run, suite, err, { token, startedAt, streamer });
+    }
+  }
 
-        case 'ERRORED':
-          run.failed(
-            suite,
-            new vscode.TestMessage(result.test_cases[0].exception),
-            Date.now() - startedAt,
+  /**
+   * Build the test program the same way as for the "debug_test" option, with
+   * the debugging information ("debug, test" build type)
+   */
+  async buildDebugTestProgram(envName, testName, { token, onDidOutput }) {
+    const { exitCode } = await this.spawnCoreCommand(
+      ['-c', DEBUG_TEST_BUILD_SCRIPT, envName, testName],
+      {
+        command: pioNodeHelpers.core.getCorePythonExe(),
+        env: this.getCoreProcessEnv(),
+        token,
+        onDidOutput,
+      },
+    );
+    if (token.isCancellationRequested) {
+      throw new Error('The test run has been cancelled');
+    } else if (exitCode !== 0) {
+      throw new Error(`Could not build the test program (exit code ${exitCode})`);
+    }
+  }
+
+  /**
+   * The program path from the build metadata, it respects a custom
+   * "build_dir" and the program name
+   */
+  async getEnvProgramPath(envName, { token }) {
+    const { exitCode, output } = await this.spawnCoreCommand(
+      ['project', 'metadata', '--environment', envName, '--json-output'],
+      { env: this.getCoreProcessEnv(), token },
+    );
+    let data = undefined;
+    try {
+      data = JSON.parse(output.substring(output.indexOf('{')));
+    } catch (err) {}
+    if (exitCode !== 0 || !data || !data[envName] || !data[envName].prog_path) {
+      throw new Error(`Could not find the program of env:${envName}`);
+    }
+    return data[envName].prog_path;
+  }
+
+  /**
+   * The host program is debugged by GDB, the output and the exit code
+   * are taken from the debug session
+   */
+  async _debugNativeTestProgram(
+    run,
+    suite,
+    programPath,
+    { caseNames, excludeCaseNames, token, startedAt, streamer },
+  ) {
+    const envName = suite.parent.label;
+    const framework =
+      caseNames || excludeCaseNames.length
+        ? await this.getCaseFilterFramework(envName)
+        : undefined;
+    const programArgs = framework
+      ? this.getCaseFilterArgs(framework, caseNames || [], excludeCaseNames).filter(
+          (_, index) => index % 2 === 1, // skip "--program-arg"
+        )
+      : [];
+    const exitCode = await this.startTestDebugSession(
+      run,
+      suite,
+      {
+        type: 'cppdbg',
+        request: 'launch',
+        name: `Debug Test ${envName}/${suite.label}`,
+        program: programPath,
+        args: programArgs,
+        cwd: this.projectDir,
+        MIMode: 'gdb',
+        externalConsole: false,
+      },
+      { token, onDidOutput: streamer.write },
+    );
+    if (token.isCancellationRequested) {
+      run.skipped(suite);
+    } else if (exitCode === 0) {
+      run.passed(suite, Date.now() - startedAt);
+    } else {
+      run.failed(
+        suite,
+        new vscode.TestMessage(
+          exitCode === undefined
+            ? 'The debug session has ended before the test program exited'
+            : `The test program exited with code ${exitCode}`,
+        ),
+        Date.now() - startedAt,
+      );
+    }
+  }
+
+  /**
+   * The test program is loaded and debugged by PlatformIO Debugger, the
+   * testing stage reads the results from the serial port meanwhile
+   */
+  async _debugEmbeddedTestProgram(
+    run,
+    suite,
+    programPath,
+    { token, startedAt, streamer },
+  ) {
+    const envName = suite.parent.label;
+    const testingTokenSource = new vscode.CancellationTokenSource();
+    const listener = token.onCancellationRequested(() => testingTokenSource.cancel());
+    let testing = undefined;
+    try {
+      await this.startTestDebugSession(
+        run,
+        suite,
+        {
+          type: 'platformio-debug',
+          request: 'launch',
+          name: `Debug Test ${envName}/${suite.label}`,
+          executable: programPath,
+          projectEnvName: envName,
+        },
+        {
+          token,
+          onDidStart: () => {
+            testing = this.runCoreTestCommand(
+              [
+                '--environment',
+                envName,
+                '--filter',
+                suite.label,
+                '--without-building',
+                '--without-uploading',
+              ],
+              { token: testingTokenSource.token, onDidOutput: streamer.write },
+            ).then(
+              ([data]) => ({ data }),
+              (error) => ({ error }),
+            );
+          },
+        },
+      );
+    } finally {
+      // the testing stage waits for the results until the program finishes
+      testingTokenSource.cancel();
+      listener.dispose();
+    }
+    const { data, error } = await testing;
+    if (error) {
+      throw token.isCancellationRequested
+        ? error
+        : new Error(
+            'The debug session has ended before the test results were received',
           );
-          break;
+    }
+    await this._reportTestSuiteResult(run, suite, data, startedAt);
+  }
 
-        default:
-          this._processTestSuiteResult(run, suite, result, startedAt);
-          break;
+  /**
+   * Start the debug session and wait until it ends, resolves with the exit
+   * code of the program when the debug adapter reports it
+   */
+  async startTestDebugSession(
+    run,
+    suite,
+    debugConfiguration,
+    { token, onDidStart = undefined, onDidOutput = undefined },
+  ) {
+    const isSuiteSession = (session) =>
+      session.configuration.pioTestItemId === suite.id;
+    let session = undefined;
+    let exitCode = undefined;
+    let onDidTerminate = undefined;
+    const terminated = new Promise((resolve) => (onDidTerminate = resolve));
+    const subscriptions = [
+      vscode.debug.registerDebugAdapterTrackerFactory(debugConfiguration.type, {
+        createDebugAdapterTracker: (debugSession) => {
+          if (!isSuiteSession(debugSession)) {
+            return undefined;
+          }
+          session = debugSession;
+          return {
+            onDidSendMessage: (message) => {
+              if (message.type !== 'event' || !message.body) {
+                return;
+              }
+              if (message.event === 'exited') {
+                exitCode = message.body.exitCode;
+              } else if (
+                message.event === 'output' &&
+                onDidOutput &&
+                ['stdout', 'stderr'].includes(message.body.category)
+              ) {
+                onDidOutput(message.body.output);
+              }
+            },
+          };
+        },
+      }),
+      vscode.debug.onDidTerminateDebugSession((debugSession) => {
+        if (isSuiteSession(debugSession)) {
+          onDidTerminate();
+        }
+      }),
+      token.onCancellationRequested(() => {
+        if (session) {
+          vscode.debug.stopDebugging(session);
+        }
+      }),
+    ];
+    try {
+      const started = await vscode.debug.startDebugging(
+        vscode.workspace.getWorkspaceFolder(vscode.Uri.file(this.projectDir)),
+        Object.assign({}, debugConfiguration, { pioTestItemId: suite.id }),
+        // links the session to the test run since VS Code 1.91
+        isVSCodeVersionAtLeast(1, 91) ? { testRun: run } : {},
+      );
+      if (!started) {
+        throw new Error(
+          `Could not start the "${debugConfiguration.type}" debug session`,
+        );
       }
+      if (onDidStart) {
+        onDidStart();
+      }
+      await terminated;
+    } finally {
+      disposeSubscriptions(subscriptions);
+    }
+    return exitCode;
+  }
 
-      run.appendOutput(output, undefined, suite);
-    } catch (err) {
+  /**
+   * Stream the output to the Testing view, the test case results are
+   * reported as soon as they are printed
+   */
+  _createOutputStreamer(run, suite) {
+    let pendingOutput = undefined;
+    return {
+      write: (text) => {
+        run.appendOutput(text.replace(/\r?\n/g, '\r\n'), undefined, suite);
+        const lines = ((pendingOutput || '') + text).split(/\r?\n/);
+        pendingOutput = lines.pop();
+        lines.forEach((line) => this._reportTestResultLine(run, suite, line));
+      },
+      hasOutput: () => pendingOutput !== undefined,
+    };
+  }
+
+  async _reportTestSuiteResult(
+    run,
+    suite,
+    data,
+    startedAt,
+    { skipNotReportedCases = false } = {},
+  ) {
+    const result = data.test_suites.find(
+      (item) => item.env_name === suite.parent.label && item.test_name === suite.label,
+    );
+
+    switch (result.status) {
+      case 'SKIPPED':
+        run.skipped(suite);
+        break;
+
+      case 'ERRORED':
+        run.failed(
+          suite,
+          new vscode.TestMessage(result.test_cases[0].exception),
+          Date.now() - startedAt,
+        );
+        break;
+
+      default:
+        await this._processTestSuiteResult(run, suite, result, startedAt);
+        if (skipNotReportedCases) {
+          this._skipNotReportedCases(run, suite, result);
+        }
+        break;
+    }
+  }
+
+  _reportTestSuiteError(run, suite, err, { token, startedAt, streamer }) {
+    // the output has been already streamed
+    if (!streamer.hasOutput()) {
       run.appendOutput(err.toString(), undefined, suite);
+    }
+    if (token && token.isCancellationRequested) {
+      run.skipped(suite);
+    } else {
       run.failed(suite, new vscode.TestMessage(err.toString()), Date.now() - startedAt);
     }
   }
 
+  /**
+   * Live status of the test cases, the final JSON report overrides it
+   */
+  _reportTestResultLine(run, suite, line) {
+    const result = parseTestResultLine(line);
+    if (!result) {
+      return;
+    }
+    let test = undefined;
+    suite.children.forEach((item) => {
+      if (item.label === result.name) {
+        test = item;
+      }
+    });
+    if (!test) {
+      test = this.createTestCaseItem(suite, {
+        name: result.name,
+        file: result.file ? path.resolve(this.projectDir, result.file) : undefined,
+        line: result.line,
+      });
+      suite.children.add(test);
+    }
+    switch (result.status) {
+      case 'passed':
+        run.passed(test);
+        break;
+      case 'skipped':
+        run.skipped(test);
+        break;
+      default:
+        run.failed(test, new vscode.TestMessage(result.message || 'Failed'));
+        break;
+    }
+  }
+
+  _skipNotReportedCases(run, suite, result) {
+    suite.children.forEach((test) => {
+      if (!result.test_cases.some((testCase) => testCase.name === test.label)) {
+        run.skipped(test);
+      }
+    });
+  }
+
   async _processTestSuiteResult(run, suite, result, startedAt) {
-    const envName = suite.parent.label;
-    const testName = suite.label;
-    suite.children.replace([]);
+    // keep the parsed test cases and their locations, add the reported ones
+    if (suite.uri) {
+      await this.resolveTestCases(suite);
+    } else {
+      suite.children.replace([]);
+    }
+    const parsedItems = [];
+    suite.children.forEach((item) => parsedItems.push(item));
     result.test_cases.forEach((testCase) => {
-      const test = this.controller.createTestItem(
-        `case:${envName}/${testName}/${testCase.name}`,
-        testCase.name,
-        testCase.source
-          ? vscode.Uri.file(path.resolve(testCase.source.file))
-          : undefined,
-      );
-      if (testCase.source && testCase.source.line) {
-        test.range = new vscode.Range(
-          testCase.source.line - 1,
-          0,
-          testCase.source.line - 1,
-          0,
-        );
+      let test = parsedItems.find((item) => item.label === testCase.name);
+      if (!test) {
+        test = this.createTestCaseItem(suite, {
+          name: testCase.name,
+          file: testCase.source ? testCase.source.file : undefined,
+          line: testCase.source ? testCase.source.line : undefined,
+        });
+        suite.children.add(test);
       }
-      suite.children.add(test);
 
       switch (testCase.status) {
         case 'SKIPPED':
@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { IS_OSX, IS_WINDOWS } from '../constants';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+async function listDirs(dir) {
+  try {
+    return (await fs.readdir(dir, { withFileTypes: true }))
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => path.join(dir, entry.name));
+  } catch (err) {
+    return [];
+  }
+}
+
+async function getDriveKind(drivePath) {
+  let entries = [];
+  try {
+    entries = (await fs.readdir(drivePath)).map((name) => name.toUpperCase());
+  } catch (err) {
+    return undefined;
+  }
+  if (entries.includes('INFO_UF2.TXT')) {
+    return 'UF2';
+  } else if (entries.includes('MBED.HTM') || entries.includes('DETAILS.TXT')) {
+    return 'mbed';
+  }
+  return undefined;
+}
+
+/**
+ * List the mounted mass-storage volumes which accept firmware
+ * by copying (UF2 bootloaders and mbed interface firmware)
+ */
+export async function listUploadDrives() {
+  let candidates = [];
+  if (IS_WINDOWS) {
+    candidates = 'DEFGHIJKLMNOPQRSTUVWXYZ'.split('').map((letter) => `${letter}:\\`);
+  } else if (IS_OSX) {
+    candidates = await listDirs('/Volumes');
+  } else {
+    const user = os.userInfo().username;
+    for (const dir of [
+      '/media',
+      path.join('/media', user),
+      path.join('/run/media', user),
+    ]) {
+      candidates.push(...(await listDirs(dir)));
+    }
+  }
+  const result = [];
+  for (const drivePath of candidates) {
+    const kind = await getDriveKind(drivePath);
+    if (kind) {
+      result.push({
+        name: path.basename(drivePath) || drivePath,
+        path: drivePath,
+        kind,
+      });
+    }
+  }
+  return result;
+}
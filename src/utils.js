@@ -8,9 +8,13 @@
 
 import * as pioNodeHelpers from 'pioarduino-node-helpers';
 
+import { IS_WINDOWS } from './constants';
 import os from 'os';
+import { spawn } from 'child_process';
 import vscode from 'vscode';
 
+const ANSI_ESCAPE_RE = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*[A-Za-z]`, 'g');
+
 export function disposeSubscriptions(subscriptions) {
   while (subscriptions.length) {
     subscriptions.pop().dispose();
@@ -78,3 +82,29 @@ print(json.dumps(list_serial_ports()))
     return item;
   });
 }
+
+export function stripAnsiEscapes(text) {
+  return text.replace(ANSI_ESCAPE_RE, '');
+}
+
+/**
+ * Kill the process together with its children, such as SCons, the compilers
+ * and the uploaders. On POSIX the process must be spawned with "detached",
+ * so it leads its own process group
+ */
+export function killProcessTree(child) {
+  if (!child || !child.pid) {
+    return;
+  }
+  if (IS_WINDOWS) {
+    spawn('taskkill', ['/pid', child.pid.toString(), '/T', '/F']).on('error', () =>
+      child.kill(),
+    );
+    return;
+  }
+  try {
+    process.kill(-child.pid, 'SIGTERM');
+  } catch (err) {
+    child.kill();
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import {
+  MdnsDiscovery,
+  decodeMdnsRecords,
+  encodeMdnsQuery,
+} from '../src/project/mdns.js';
+import assert from 'assert';
+import dgram from 'dgram';
+import test from 'node:test';
+
+const SERVICE_TYPE = '_arduino._tcp.local';
+const INSTANCE = `esp32-office.${SERVICE_TYPE}`;
+const HOST = 'esp32-office.local';
+
+function encodeName(name) {
+  return Buffer.concat([
+    ...name
+      .split('.')
+      .map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+    Buffer.from([0]),
+  ]);
+}
+
+function encodeRecord(name, type, data) {
+  const fields = Buffer.alloc(10);
+  fields.writeUInt16BE(type, 0);
+  fields.writeUInt16BE(1, 2); // IN
+  fields.writeUInt32BE(120, 4); // TTL
+  fields.writeUInt16BE(data.length, 8);
+  return Buffer.concat([name, fields, data]);
+}
+
+/**
+ * The reply to the "_arduino._tcp.local" PTR query, the records after
+ * the first one refer to the instance name by a compression pointer
+ */
+function encodeResponse() {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(0x8400, 2); // response, authoritative
+  header.writeUInt16BE(1, 6); // ANCOUNT
+  header.writeUInt16BE(3, 10); // ARCOUNT
+  const instanceOffset = 12 + encodeName(SERVICE_TYPE).length + 10;
+  const instancePointer = Buffer.from([
+    0xc0 | (instanceOffset >> 8),
+    instanceOffset & 0xff,
+  ]);
+
+  const srvData = Buffer.alloc(6);
+  srvData.writeUInt16BE(3232, 4); // port
+  const txtItems = ['board=esp32dev', 'auth_upload=no'].map((item) =>
+    Buffer.concat([Buffer.from([item.length]), Buffer.from(item)]),
+  );
+  return Buffer.concat([
+    header,
+    encodeRecord(encodeName(SERVICE_TYPE), 12, encodeName(INSTANCE)),
+    encodeRecord(instancePointer, 33, Buffer.concat([srvData, encodeName(HOST)])),
+    encodeRecord(instancePointer, 16, Buffer.concat(txtItems)),
+    encodeRecord(encodeName(HOST), 1, Buffer.from([192, 168, 1, 50])),
+  ]);
+}
+
+function startResponder() {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    const queries = [];
+    socket.on('message', (message, rinfo) => {
+      queries.push(message);
+      socket.send(encodeResponse(), rinfo.port, rinfo.address);
+    });
+    socket.bind(0, '127.0.0.1', () => resolve({ socket, queries }));
+  });
+}
+
+test('encodeMdnsQuery builds a PTR question', () => {
+  assert.deepStrictEqual(
+    encodeMdnsQuery('_arduino._tcp.local'),
+    Buffer.concat([
+      Buffer.from([0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0]),
+      encodeName('_arduino._tcp.local'),
+      Buffer.from([0, 12, 0, 1]),
+    ]),
+  );
+});
+
+test('decodeMdnsRecords follows the compression pointers', () => {
+  assert.deepStrictEqual(decodeMdnsRecords(encodeResponse()), [
+    { name: SERVICE_TYPE, type: 12, data: INSTANCE },
+    { name: INSTANCE, type: 33, data: { port: 3232, target: HOST } },
+    {
+      name: INSTANCE,
+      type: 16,
+      data: { board: 'esp32dev', auth_upload: 'no' },
+    },
+    { name: HOST, type: 1, data: '192.168.1.50' },
+  ]);
+});
+
+test('MdnsDiscovery collects the devices from a local responder', async () => {
+  const responder = await startResponder();
+  try {
+    const discovery = new MdnsDiscovery({
+      address: '127.0.0.1',
+      port: responder.socket.address().port,
+      timeout: 500,
+    });
+    assert.deepStrictEqual(await discovery.discover(), [
+      {
+        name: 'esp32-office',
+        host: HOST,
+        address: '192.168.1.50',
+        port: 3232,
+        properties: { board: 'esp32dev', auth_upload: 'no' },
+      },
+    ]);
+    assert.strictEqual(responder.queries.length, 1);
+    assert.deepStrictEqual(responder.queries[0], encodeMdnsQuery(SERVICE_TYPE));
+  } finally {
+    responder.socket.close();
+  }
+});
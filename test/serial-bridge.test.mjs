@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2017-present PlatformIO <contact@platformio.org>
+ * All rights reserved.
+ *
+ * This source code is licensed under the license found in the LICENSE file in
+ * the root directory of this source tree.
+ */
+
+import { spawn, spawnSync } from 'child_process';
+import { BRIDGE_SCRIPT } from '../src/monitor/serial-bridge.js';
+import assert from 'assert';
+import test from 'node:test';
+
+// the Core's Python interpreter is used by the extension
+const PYTHON_EXE = process.env.PLATFORMIO_PYTHON_EXE || 'python3';
+const READY_MARKER = '--- ready ---';
+
+// open a pty pair, print the name of its slave end and reply to "ping"
+const PTY_PEER_SCRIPT = String.raw`
+import os
+import pty
+import sys
+import tty
+
+master, slave = pty.openpty()
+tty.setraw(slave)
+print(os.ttyname(slave), flush=True)
+data = b""
+while not data.endswith(b"ping"):
+    data += os.read(master, 1024)
+os.write(master, b"pong")
+sys.stdin.read()
+`;
+
+function hasPySerial() {
+  return spawnSync(PYTHON_EXE, ['-c', 'import serial']).status === 0;
+}
+
+function waitForOutput(child, stream, predicate) {
+  return new Promise((resolve, reject) => {
+    let output = '';
+    let errors = '';
+    const onData = (data) => {
+      output += data.toString();
+      if (predicate(output)) {
+        cleanup();
+        resolve(output);
+      }
+    };
+    const onStderr = (data) => (errors += data.toString());
+    const onClose = (code) => {
+      cleanup();
+      reject(new Error(`Exited with code ${code}: ${errors}`));
+    };
+    const cleanup = () => {
+      stream.off('data', onData);
+      child.stderr.off('data', onStderr);
+      child.off('close', onClose);
+    };
+    stream.on('data', onData);
+    child.stderr.on('data', onStderr);
+    child.on('close', onClose);
+  });
+}
+
+test('bridge script is valid Python', () => {
+  const result = spawnSync(
+    PYTHON_EXE,
+    ['-c', 'import ast, sys; ast.parse(sys.stdin.read())'],
+    { input: BRIDGE_SCRIPT },
+  );
+  assert.strictEqual(result.status, 0, result.stderr.toString());
+});
+
+test(
+  'bridge script exchanges data with a pty',
+  {
+    skip:
+      process.platform === 'win32' || !hasPySerial()
+        ? 'pty or pyserial is not available'
+        : false,
+    timeout: 20000,
+  },
+  async () => {
+    const peer = spawn(PYTHON_EXE, ['-u', '-c', PTY_PEER_SCRIPT]);
+    const bridge = { process: undefined };
+    try {
+      const slavePath = (
+        await waitForOutput(peer, peer.stdout, (text) => text.includes('\n'))
+      ).trim();
+      bridge.process = spawn(PYTHON_EXE, [
+        '-u',
+        '-c',
+        BRIDGE_SCRIPT,
+        slavePath,
+        '115200',
+        JSON.stringify({}),
+        READY_MARKER,
+      ]);
+      await waitForOutput(bridge.process, bridge.process.stderr, (text) =>
+        text.includes(READY_MARKER),
+      );
+      const received = waitForOutput(bridge.process, bridge.process.stdout, (text) =>
+        text.includes('pong'),
+      );
+      bridge.process.stdin.write('ping');
+      assert.strictEqual(await received, 'pong');
+    } finally {
+      if (bridge.process) {
+        bridge.process.stdin.end();
+        bridge.process.kill();
+      }
+      peer.stdin.end();
+      peer.kill();
+    }
+  },
+);